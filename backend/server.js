@@ -3,25 +3,35 @@ const cors = require("cors");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
-const { AssemblyAI } = require("assemblyai");
-const Groq = require("groq-sdk");
 const dotenv = require("dotenv");
 dotenv.config();
+
+// Services read their configuration from the environment, so load them after dotenv
+const jobs = require("./services/jobs");
+const diagnosisStore = require("./services/diagnosisStore");
+const uploadStorage = require("./services/storage");
+const uploads = require("./services/uploads");
+const retention = require("./services/retention");
+const transcriber = require("./services/transcription");
+const llm = require("./services/llm");
+const audio = require("./services/audio");
+const frames = require("./services/frames");
+const mediaProbe = require("./services/mediaProbe");
+const keywords = require("./services/keywords");
+const vehicles = require("./services/vehicle");
+const dtc = require("./services/dtc");
+const languageOptions = require("./services/languages");
+const reportExport = require("./services/reportExport");
+const repairEstimate = require("./services/repairEstimate");
+const followUp = require("./services/followUp");
+const { languageName } = languageOptions;
+const { PROBLEM_TYPES, SEVERITIES, URGENCIES, DRIVE_SAFETY, ISSUE_CATEGORIES, validateDiagnosis } = require("./services/diagnosisSchema");
+const { buildKeywordDiagnosis } = require("./services/keywordDiagnosis");
 const app = express();
 
 app.use(cors());
 app.use(express.json());
 
-// Use environment variables directly (no fallbacks)
-const assemblyClient = new AssemblyAI({
-  apiKey: process.env.ASSEMBLYAI_API_KEY,
-});
-
-// Initialize Groq with environment variable
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
-
 // Configure multer for chunk uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -31,77 +41,7 @@ const upload = multer({
   }
 });
 
-// Directory to store chunks temporarily
-const CHUNKS_DIR = '/tmp/chunks';
-if (!fs.existsSync(CHUNKS_DIR)) {
-  fs.mkdirSync(CHUNKS_DIR, { recursive: true });
-}
-
-const vehicleKeywords = [
-  "brake pedal", "brake pads", "brake discs", "brake fluid", "brake lines",
-  "brake noise", "brake vibration", "brake failure", "brake warning",
-  "engine overheating", "engine noise", "engine failure", "engine stalling",
-  "engine misfire", "engine vibration", "engine smoking", "engine knocking",
-  "motor starter", "motor mount",
-  "battery dead", "battery drain", "alternator failure", "starter motor",
-  "electrical short", "fuse blown", "wiring issue", "light failure",
-  "flat tire", "tire pressure", "tire wear", "wheel alignment", "wheel bearing",
-  "rim damage", "tire vibration",
-  "suspension noise", "suspension failure", "shock absorbers", "strut failure", 
-  "spring broken", "control arm", "ball joint", "bushing worn",
-  "steering wheel", "power steering", "steering vibration", "alignment issue",
-  "car pulling", "uneven ride", "body roll",
-  "transmission slipping", "gear shifting", "clutch problem", "transmission fluid",
-  "gear noise", "shifting difficulty",
-  "coolant leak", "overheating issue", "radiator problem", "thermostat failure",
-  "water pump", "cooling fan",
-  "exhaust leak", "muffler problem", "catalytic converter", "exhaust noise",
-  "fuel pump", "fuel injector", "fuel filter", "fuel leak",
-  "side mirror", "windshield crack", "door lock", "window regulator",
-  "seat belt", "air conditioning", "heater problem",
-  "oil leak", "power loss", "check engine", "warning light", "emission problem","suspension problem","suspension issue"
-];
-
-function advancedKeywordSearch(text) {
-  const lowerText = text.toLowerCase();
-  const foundKeywords = [];
-  const keywordCategories = {};
-  
-  vehicleKeywords.forEach(keyword => {
-    const lowerKeyword = keyword.toLowerCase();
-    const wordRegex = new RegExp(`\\b${lowerKeyword}\\b`, 'gi');
-    const exactMatches = lowerText.match(wordRegex);
-    const partialMatch = lowerText.includes(lowerKeyword);
-    
-    if ((exactMatches && exactMatches.length > 0) || partialMatch) {
-      foundKeywords.push(keyword);
-      
-      if (lowerKeyword.includes('brake')) {
-        keywordCategories.brake = true;
-      }
-      if (lowerKeyword.includes('tire') || lowerKeyword.includes('wheel')) {
-        keywordCategories.tire = true;
-      }
-      if (lowerKeyword.includes('engine') || lowerKeyword.includes('motor')) {
-        keywordCategories.engine = true;
-      }
-      if (lowerKeyword.includes('electrical') || lowerKeyword.includes('battery') || lowerKeyword.includes('light')) {
-        keywordCategories.electrical = true;
-      }
-      if (lowerKeyword.includes('transmission') || lowerKeyword.includes('gear') || lowerKeyword.includes('clutch')) {
-        keywordCategories.transmission = true;
-      }
-    }
-  });
-  
-  return {
-    foundKeywords: [...new Set(foundKeywords)],
-    categories: Object.keys(keywordCategories),
-    totalMatches: foundKeywords.length
-  };
-}
-
-function parseGroqResponse(responseText) {
+function parseAIResponse(responseText) {
   try {
     let cleanText = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
     
@@ -120,103 +60,228 @@ function parseGroqResponse(responseText) {
   }
 }
 
-async function analyzeWithGroq(text) {
-  try {
-    const prompt = `
-Analyze this vehicle problem description and return ONLY valid JSON without any markdown formatting:
+const LLM_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10) || 1;
+
+function addUsage(total, usage) {
+  const sum = (a, b) => (a === null && b === null ? null : (a || 0) + (b || 0));
+  return {
+    promptTokens: sum(total.promptTokens, usage.promptTokens),
+    completionTokens: sum(total.completionTokens, usage.completionTokens),
+    totalTokens: sum(total.totalTokens, usage.totalTokens),
+  };
+}
 
+// Asks the LLM for a diagnosis and validates it against the schema. Invalid
+// output is sent back with the validation errors for a corrected answer; if the
+// model still cannot produce a valid diagnosis (or is unreachable) we fall
+// back to a keyword-only diagnosis flagged as degraded instead of failing.
+async function analyzeWithLLM(text, keywordResults, { vehicle = null, diagnosticCodes = null, languages = null } = {}) {
+  // The same noise means different things on different vehicles, e.g. a
+  // clunk when shifting on a manual versus an automatic
+  const vehicleContext = vehicle ? `
+VEHICLE: ${vehicles.describeVehicle(vehicle)}${vehicle.vin ? ` (VIN ${vehicle.vin})` : ""}
+Take the vehicle's make, age, mileage, fuel type and transmission into account. Do not suggest components this vehicle does not have.
+` : "";
+
+  const codesContext = diagnosticCodes ? `
+SCANNER TROUBLE CODES:
+${dtc.describeForPrompt(diagnosticCodes)}
+Weigh the codes against the spoken complaint. Say in the recommendation which codes explain the complaint and which need checking separately.
+` : "";
+
+  const reportLanguage = languages ? languages.report : "en";
+  const spokenLanguage = languages ? languages.detected || languages.keywords : "en";
+  // Keys and enum values stay English so validation and history filters keep working
+  const languageContext = reportLanguage !== "en" || spokenLanguage !== "en" ? `
+TRANSCRIPT LANGUAGE: ${languageName(spokenLanguage)}
+Write mainProblem, the issue descriptions and likely causes, keywords, recommendation and the drive-safety reason in ${languageName(reportLanguage)}. Keep the JSON keys and the problemType, category, severity, urgency and verdict values in English exactly as listed.
+` : "";
+
+  const prompt = `
+Analyze this vehicle problem description and return ONLY valid JSON without any markdown formatting:
+${vehicleContext}${codesContext}${languageContext}
 TRANSCRIPT: "${text}"
 
 Return JSON with this exact structure:
 {
   "mainProblem": "Brief description of the main vehicle issue",
-  "problemType": "brake|tire|engine|electrical|suspension|transmission|oil|other",
-  "specificIssues": ["list", "of", "specific", "problems", "mentioned"],
-  "severity": "low|medium|high",
+  "problemType": "${PROBLEM_TYPES.join("|")}",
+  "specificIssues": [
+    {
+      "description": "One specific problem mentioned",
+      "category": "${ISSUE_CATEGORIES.join("|")}",
+      "severity": "${SEVERITIES.join("|")}",
+      "confidence": 0.8,
+      "likelyCauses": ["most likely cause", "other possible cause"],
+      "urgency": "${URGENCIES.join("|")}"
+    }
+  ],
+  "severity": "${SEVERITIES.join("|")}",
   "keywords": ["relevant", "technical", "keywords", "from", "text"],
-  "recommendation": "Specific repair advice from mechanic perspective"
+  "recommendation": "Specific repair advice from mechanic perspective",
+  "driveSafety": {
+    "verdict": "${DRIVE_SAFETY.join("|")}",
+    "reason": "One sentence on whether the vehicle can be driven to a shop"
+  }
 }
 
+Grade every issue on its own: a minor wiper complaint stays low even when the brakes are failing. The overall severity is that of the most serious issue. confidence is from 0 to 1: how sure you are the issue is real. Use do_not_drive when driving on could cause a crash or serious damage, caution when it can be driven carefully to a shop, and safe otherwise.
 Focus on vehicle mechanical issues. Return ONLY the JSON object without any additional text or markdown.
 `;
 
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert automotive technician. Analyze vehicle problem descriptions and provide structured JSON responses with diagnosis and recommendations."
-        },
+  const messages = [
+    {
+      role: "system",
+      content: "You are an expert automotive technician. Analyze vehicle problem descriptions and provide structured JSON responses with diagnosis and recommendations."
+    },
+    {
+      role: "user",
+      content: prompt
+    }
+  ];
+
+  let usage = { promptTokens: null, completionTokens: null, totalTokens: null };
+  let latencyMs = 0;
+  let lastCompletion = null;
+  let attempts = 0;
+  let errors = [];
+  const repairs = [];
+
+  try {
+    for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+      const completion = await llm.complete(messages, { json: true });
+      lastCompletion = completion;
+      attempts++;
+      usage = addUsage(usage, completion.usage);
+      latencyMs += completion.latencyMs;
+
+      let parsed = null;
+      try {
+        if (!completion.content) {
+          throw new Error(`Empty response from ${completion.provider}`);
+        }
+        parsed = parseAIResponse(completion.content);
+      } catch (parseError) {
+        errors = [parseError.message];
+      }
+
+      if (parsed) {
+        const validation = validateDiagnosis(parsed);
+        repairs.push(...validation.repairs);
+        errors = validation.errors;
+
+        if (validation.valid) {
+          return {
+            success: true,
+            ...validation.value,
+            degraded: false,
+            validation: { attempts, repairs, errors: [] },
+            aiProvider: completion.provider,
+            aiModel: completion.model,
+            aiUsage: usage,
+            aiLatencyMs: latencyMs,
+          };
+        }
+      }
+
+      console.warn(`AI diagnosis failed validation (attempt ${attempts}):`, errors.join("; "));
+      messages.push(
+        { role: "assistant", content: completion.content || "" },
         {
           role: "user",
-          content: prompt
+          content: `That response is invalid:\n- ${errors.join("\n- ")}\nReturn the corrected JSON object only, using exactly the structure requested.`
         }
-      ],
-       model: "llama-3.3-70b-versatile", 
-  temperature: 0.1,
-      max_tokens: 1024,
-      response_format: { type: "json_object" }
-    });
-
-    const responseText = chatCompletion.choices[0]?.message?.content || "";
-    
-    if (!responseText) {
-      throw new Error("Empty response from Groq API");
+      );
     }
-
-    const analysis = parseGroqResponse(responseText);
-
-    return {
-      success: true,
-      ...analysis,
-    };
   } catch (error) {
-    console.error("Groq API error:", error.message);
-    throw new Error(`AI analysis failed: ${error.message}`);
+    console.error(`LLM (${llm.config.provider}) error:`, error.message);
+    errors = [...errors, error.message];
   }
+
+  console.warn("Falling back to keyword-only diagnosis");
+
+  return {
+    success: true,
+    ...buildKeywordDiagnosis(keywordResults, reportLanguage),
+    degraded: true,
+    degradedReason: errors.join("; "),
+    validation: { attempts, repairs, errors },
+    aiProvider: lastCompletion ? lastCompletion.provider : llm.config.provider,
+    aiModel: lastCompletion ? lastCompletion.model : llm.config.model,
+    aiUsage: usage,
+    aiLatencyMs: latencyMs,
+  };
 }
 
-async function transcribeAudio(audioPath) {
+async function transcribeAudio(audioPath, options = {}) {
   try {
-    const audioUrl = await assemblyClient.files.upload(audioPath);
-    const transcript = await assemblyClient.transcripts.transcribe({
-      audio: audioUrl,
-    });
+    const transcript = await transcriber.transcribe(audioPath, options);
 
     return {
       success: true,
-      text: transcript.text,
-      language: transcript.language_code,
+      ...transcript,
     };
   } catch (error) {
-    console.error("AssemblyAI error:", error.message);
+    console.error(`Transcription (${transcriber.providerName}) error:`, error.message);
     return { success: false, error: error.message };
   }
 }
 
-function cleanupOldChunks() {
+// Admin endpoints are open unless ADMIN_TOKEN is set, like the rest of the API
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: "Admin token required"
+    });
+  }
+  next();
+}
+
+const uploadToken = (req) => req.get("X-Upload-Token");
+
+// Registry errors carry their own status; anything else is a server fault
+function sendUploadError(res, error, fallbackMessage) {
+  if (error instanceof uploads.UploadError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ 
+    success: false, 
+    error: fallbackMessage,
+    message: error.message 
+  });
+}
+
+// Starts an upload. The returned token must accompany every later request
+// for this upload and for the recording it turns into.
+app.post("/uploads", async (req, res) => {
   try {
-    const files = fs.readdirSync(CHUNKS_DIR);
-    const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
-    
-    files.forEach(file => {
-      if (file.startsWith('chunk_')) {
-        const filePath = path.join(CHUNKS_DIR, file);
-        const stats = fs.statSync(filePath);
-        if (stats.mtimeMs < oneHourAgo) {
-          fs.unlinkSync(filePath);
-          console.log(`Cleaned up old chunk: ${file}`);
-        }
-      }
+    const { fileName, fileType, fileSize, fileHash, chunkListHash, totalChunks } = req.body;
+
+    await retention.checkQuota(uploads.declaredSize(fileSize));
+    const session = await uploads.createSession({ fileName, fileType, fileSize, fileHash, chunkListHash, totalChunks });
+
+    console.log(`Started upload ${session.uploadId} (${session.totalChunks} chunks)`);
+
+    res.status(201).json({
+      success: true,
+      ...session
     });
   } catch (error) {
-    console.error("Cleanup error:", error.message);
+    sendUploadError(res, error, "Failed to start upload");
   }
-}
+});
 
 app.post("/upload-chunk", upload.single("chunk"), async (req, res) => {
   try {
-    const { chunkIndex, totalChunks, uploadId, fileName, fileType, fileSize } = req.body;
+    const { chunkIndex, uploadId, chunkHash } = req.body;
     
     if (!req.file) {
       return res.status(400).json({ 
@@ -225,99 +290,78 @@ app.post("/upload-chunk", upload.single("chunk"), async (req, res) => {
       });
     }
 
-    if (!chunkIndex || !totalChunks || !uploadId) {
+    if (chunkIndex === undefined || !uploadId) {
       return res.status(400).json({ 
         success: false, 
         error: "Missing required parameters" 
       });
     }
 
-    console.log(`Received chunk ${chunkIndex}/${totalChunks} for upload ${uploadId}`);
+    const session = await uploads.getSession(uploadId, uploadToken(req));
+    const index = await uploads.saveChunk(session, chunkIndex, req.file.buffer, chunkHash);
 
-    const chunkFileName = `chunk_${uploadId}_${chunkIndex}.tmp`;
-    const chunkPath = path.join(CHUNKS_DIR, chunkFileName);
-    
-    fs.writeFileSync(chunkPath, req.file.buffer);
+    console.log(`Received chunk ${index + 1}/${session.totalChunks} for upload ${uploadId}`);
 
     res.json({
       success: true,
-      message: `Chunk ${chunkIndex} uploaded successfully`,
-      chunkIndex: parseInt(chunkIndex),
-      totalChunks: parseInt(totalChunks),
+      message: `Chunk ${index} uploaded successfully`,
+      chunkIndex: index,
+      totalChunks: session.totalChunks,
       uploadId
     });
 
   } catch (error) {
-    console.error("Chunk upload error:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Chunk upload failed",
-      message: error.message 
+    sendUploadError(res, error, "Chunk upload failed");
+  }
+});
+
+// Lets a client resume an interrupted upload by sending only the missing chunks
+app.get("/upload-status/:uploadId", async (req, res) => {
+  try {
+    const session = await uploads.getSession(req.params.uploadId, uploadToken(req));
+    const received = await uploads.receivedChunks(session);
+
+    res.json({
+      success: true,
+      uploadId: session.uploadId,
+      totalChunks: session.totalChunks,
+      receivedChunks: received,
+      complete: received.length === session.totalChunks,
+      expiresAt: session.expiresAt
     });
+  } catch (error) {
+    sendUploadError(res, error, "Failed to read upload status");
   }
 });
 
 app.post("/merge-chunks", async (req, res) => {
   try {
-    const { uploadId, fileName, totalChunks, fileType, fileSize } = req.body;
+    const { uploadId } = req.body;
 
-    if (!uploadId || !fileName || !totalChunks) {
+    if (!uploadId) {
       return res.status(400).json({ 
         success: false, 
         error: "Missing required parameters" 
       });
     }
 
-    console.log(`Merging ${totalChunks} chunks for upload ${uploadId}`);
+    const session = await uploads.getSession(uploadId, uploadToken(req));
+    console.log(`Merging ${session.totalChunks} chunks for upload ${uploadId}`);
 
-    const chunks = [];
-    for (let i = 0; i < totalChunks; i++) {
-      const chunkPath = path.join(CHUNKS_DIR, `chunk_${uploadId}_${i}.tmp`);
-      if (!fs.existsSync(chunkPath)) {
-        return res.status(400).json({ 
-          success: false, 
-          error: `Missing chunk ${i}` 
-        });
-      }
-      chunks.push(chunkPath);
-    }
-
-    const mergedFileName = `merged_${uploadId}_${fileName}`;
-    const mergedFilePath = path.join(CHUNKS_DIR, mergedFileName);
-    
-    const writeStream = fs.createWriteStream(mergedFilePath);
-    
-    for (let i = 0; i < chunks.length; i++) {
-      const chunkData = fs.readFileSync(chunks[i]);
-      writeStream.write(chunkData);
-      fs.unlinkSync(chunks[i]);
-    }
-    
-    writeStream.end();
+    // The merged copy sits beside the chunks until they are removed
+    await retention.checkQuota(await uploads.receivedBytes(session));
 
-    writeStream.on('finish', () => {
-      console.log(`Merged file created: ${mergedFilePath}, size: ${fs.statSync(mergedFilePath).size} bytes`);
-      
-      res.json({
-        success: true,
-        message: "Chunks merged successfully",
-        filePath: mergedFilePath,
-        fileName: mergedFileName,
-        fileSize: fs.statSync(mergedFilePath).size
-      });
-    });
+    const media = await uploads.mergeSession(session);
+    console.log(`Registered media ${media.mediaId}, size: ${media.fileSize} bytes`);
 
-    writeStream.on('error', (error) => {
-      throw error;
+    res.json({
+      success: true,
+      message: "Chunks merged successfully",
+      ...media
     });
 
   } catch (error) {
-    console.error("Merge chunks error:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to merge chunks",
-      message: error.message 
-    });
+    sendUploadError(res, error, "Failed to merge chunks");
   }
 });
 
@@ -333,15 +377,7 @@ app.post("/cancel-upload", async (req, res) => {
     }
 
     console.log(`Cancelling upload: ${uploadId}`);
-
-    const files = fs.readdirSync(CHUNKS_DIR);
-    files.forEach(file => {
-      if (file.includes(uploadId)) {
-        const filePath = path.join(CHUNKS_DIR, file);
-        fs.unlinkSync(filePath);
-        console.log(`Deleted chunk: ${file}`);
-      }
-    });
+    await uploads.cancelSession(uploadId, uploadToken(req));
 
     res.json({
       success: true,
@@ -349,89 +385,304 @@ app.post("/cancel-upload", async (req, res) => {
     });
 
   } catch (error) {
-    console.error("Cancel upload error:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to cancel upload",
-      message: error.message 
-    });
+    sendUploadError(res, error, "Failed to cancel upload");
   }
 });
 
-app.post("/process-recording", async (req, res) => {
+function buildAnalysisResponse(transcription, keywordResults, analysis) {
+  return {
+    transcription: transcription.text,
+    mainProblem: analysis.mainProblem,
+    problemType: analysis.problemType,
+    specificIssues: analysis.specificIssues,
+    severity: analysis.severity,
+    keywords: analysis.keywords,
+    recommendation: analysis.recommendation,
+    driveSafety: analysis.driveSafety,
+    degraded: analysis.degraded,
+    degradedReason: analysis.degradedReason,
+    validation: analysis.validation,
+    word_count: transcription.text.split(/\s+/).length,
+    problem_count: analysis.specificIssues.length,
+    aiProvider: analysis.aiProvider,
+    aiModel: analysis.aiModel,
+    aiUsage: analysis.aiUsage,
+    aiLatencyMs: analysis.aiLatencyMs,
+    transcriptionProvider: transcription.provider,
+    language: transcription.language,
+    transcriptionConfidence: transcription.confidence,
+    words: transcription.words,
+    keywordSearch: {
+      taxonomyVersion: keywordResults.taxonomyVersion,
+      language: keywordResults.language,
+      termListVersion: keywordResults.termListVersion,
+      foundKeywords: keywordResults.foundKeywords,
+      dismissedKeywords: keywordResults.dismissedKeywords,
+      categories: keywordResults.categories,
+      categoryDetails: keywordResults.categoryDetails,
+      totalKeywordsFound: keywordResults.totalMatches,
+      keywordMatch: keywordResults.totalMatches > 0,
+      totalMatches: keywordResults.totalMatches,
+      hits: keywordResults.hits
+    }
+  };
+}
+
+// Media validation -> audio extraction -> enhancement -> transcription -> keyword
+// search -> AI analysis -> key frames. onStage is called as each stage starts;
+// context holds what was sent with the recording: the validated vehicle
+// profile, scanner trouble codes and spoken/report language choices.
+async function runDiagnosisPipeline(filePath, onStage = () => {}, { vehicle = null, dtcs = [], languages: requestedLanguages = { spoken: "auto", report: "auto" } } = {}) {
+  let audioInfo = null;
+  let enhancement = null;
+
   try {
-    const { filePath, fileName, fileSize, fileType } = req.body;
+    // Unusable recordings are rejected here, before any paid API is called
+    onStage("validating_media");
+    const media = await mediaProbe.probeMedia(filePath);
+    console.log(`Media: ${media.container}, ${media.durationSeconds}s, audio ${media.audio.codec}, peak ${media.maxVolumeDb} dB`);
+
+    let transcriptionSource = filePath;
+
+    if (audio.isEnabled()) {
+      onStage("extracting_audio");
+      console.log("Extracting audio track...");
+      audioInfo = await audio.extractAudio(filePath);
+      transcriptionSource = audioInfo.path;
+      console.log(`Extracted ${audioInfo.format} audio: ${audioInfo.sizeBytes} bytes (from ${audioInfo.originalSizeBytes}), ${audioInfo.durationSeconds}s`);
+    }
 
-    if (!filePath || !fs.existsSync(filePath)) {
-      return res.status(400).json({ 
-        error: "No valid file path provided" 
-      });
+    if (audio.isEnhancementEnabled()) {
+      onStage("enhancing_audio");
+      console.log("Enhancing audio...");
+      enhancement = await audio.enhanceAudio(transcriptionSource);
+      transcriptionSource = enhancement.path;
+      console.log(`Applied audio filters: ${enhancement.filterChain || "none"}`);
     }
 
-    console.log("Processing recording from file path:", filePath);
-    console.log("File size:", fileSize);
+    onStage("transcribing");
+    console.log("Starting transcription...");
+    const transcription = await transcribeAudio(transcriptionSource, { language: requestedLanguages.spoken });
 
-    try {
-      console.log("Starting transcription...");
-      const transcription = await transcribeAudio(filePath);
+    if (!transcription.success) {
+      throw new Error(`Transcription failed: ${transcription.error}`);
+    }
 
-      if (!transcription.success) {
-        throw new Error(`Transcription failed: ${transcription.error}`);
-      }
+    // Put word timings back on the original recording's clock
+    if (enhancement && enhancement.trimmedStartSeconds > 0) {
+      const offsetMs = Math.round(enhancement.trimmedStartSeconds * 1000);
+      transcription.words = transcription.words.map(word => ({
+        ...word,
+        start: word.start + offsetMs,
+        end: word.end + offsetMs
+      }));
+    }
 
-      console.log("Transcription successful, length:", transcription.text.length);
+    console.log("Transcription successful, length:", transcription.text.length);
 
-      const keywordResults = advancedKeywordSearch(transcription.text);
-      console.log("Keyword search found:", keywordResults.totalMatches, "matches");
+    const languages = languageOptions.resolveLanguages(requestedLanguages, transcription.language);
+    console.log(`Language: spoken ${languages.detected || "unknown"}, keywords ${languages.keywords}, report ${languages.report}`);
 
-      console.log("Starting AI analysis...");
-      const analysis = await analyzeWithGroq(transcription.text);
-      console.log("AI analysis completed");
+    onStage("keyword_search");
+    const keywordResults = keywords.advancedKeywordSearch(transcription.text, transcription.words, languages.keywords);
+    console.log("Keyword search found:", keywordResults.totalMatches, "matches");
 
-      const response = {
-        success: true,
-        message: "Live Recording Analysis Completed!",
-        analysis: {
-          transcription: transcription.text,
-          mainProblem: analysis.mainProblem,
-          problemType: analysis.problemType,
-          specificIssues: analysis.specificIssues,
-          severity: analysis.severity,
-          keywords: analysis.keywords,
-          recommendation: analysis.recommendation,
-          word_count: transcription.text.split(/\s+/).length,
-          problem_count: analysis.specificIssues.length,
-          aiModel: "mixtral-8x7b-32768",
-          keywordSearch: {
-            foundKeywords: keywordResults.foundKeywords,
-            categories: keywordResults.categories,
-            totalKeywordsFound: keywordResults.totalMatches,
-            keywordMatch: keywordResults.totalMatches > 0,
-            totalMatches: keywordResults.totalMatches
-          }
-        },
-      };
+    const diagnosticCodes = dtc.correlateCodes(dtcs, keywordResults);
+    if (diagnosticCodes) {
+      console.log(`Trouble codes: ${diagnosticCodes.supporting.length} support, ${diagnosticCodes.contradicting.length} contradict the complaint`);
+    }
 
+    onStage("ai_analysis");
+    console.log("Starting AI analysis...");
+    const analysis = await analyzeWithLLM(transcription.text, keywordResults, { vehicle, diagnosticCodes, languages });
+    console.log(analysis.degraded ? "AI analysis degraded to keyword-only diagnosis" : "AI analysis completed");
+
+    const estimate = repairEstimate.estimateRepairs(analysis, { language: languages.report });
+    console.log(`Repair estimate: ${estimate.items.length} line items, ${estimate.totals.quoted.low}-${estimate.totals.quoted.high} ${estimate.currency}`);
+
+    // Thumbnails are a nice-to-have; a failure here should not cost the diagnosis.
+    // Audio-only uploads have nothing to capture.
+    onStage("extracting_frames");
+    let keyFrames = { frameSetId: null, frames: [] };
+    if (media.video) {
       try {
-        fs.unlinkSync(filePath);
-        console.log("Cleaned up merged file:", filePath);
-      } catch (cleanupError) {
-        console.error("File cleanup error:", cleanupError.message);
+        keyFrames = await frames.extractSymptomFrames(filePath, {
+          words: transcription.words,
+          keywordHits: keywordResults.hits.filter(hit => hit.isComplaint),
+          specificIssues: analysis.specificIssues.map(issue => issue.description)
+        });
+        console.log(`Captured ${keyFrames.frames.length} key frames`);
+      } catch (frameError) {
+        console.error("Key frame extraction error:", frameError.message);
       }
+    }
 
-      res.json(response);
-    } catch (processingError) {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
+    return {
+      ...buildAnalysisResponse(transcription, keywordResults, analysis),
+      frameSetId: keyFrames.frameSetId,
+      frames: keyFrames.frames,
+      media,
+      languages,
+      vehicle,
+      diagnosticCodes,
+      estimate,
+      audio: {
+        extraction: audioInfo && {
+          format: audioInfo.format,
+          durationSeconds: audioInfo.durationSeconds,
+          sizeBytes: audioInfo.sizeBytes,
+          originalSizeBytes: audioInfo.originalSizeBytes
+        },
+        enhancement: enhancement && {
+          filters: enhancement.filters,
+          filterChain: enhancement.filterChain,
+          trimmedStartSeconds: enhancement.trimmedStartSeconds,
+          trimmedEndSeconds: enhancement.trimmedEndSeconds,
+          before: enhancement.before,
+          after: enhancement.after
         }
-      } catch (cleanupError) {
-        console.error("File cleanup error:", cleanupError.message);
       }
-      throw processingError;
+    };
+  } finally {
+    [audioInfo, enhancement].forEach(artifact => {
+      if (artifact && fs.existsSync(artifact.path)) {
+        fs.unlinkSync(artifact.path);
+      }
+    });
+  }
+}
+
+// History is best effort: a failed write must not throw away a finished analysis
+function storeDiagnosis(analysis, meta) {
+  try {
+    const record = diagnosisStore.saveDiagnosis({ analysis, ...meta });
+    console.log("Saved diagnosis:", record.id);
+    return record.id;
+  } catch (error) {
+    console.error("Failed to save diagnosis:", error.message);
+    return null;
+  }
+}
+
+async function processRecordingJob(jobId, media, context) {
+  let localFile = null;
+
+  try {
+    localFile = await uploads.downloadMedia(media);
+    const analysis = await runDiagnosisPipeline(localFile.path, (stage) => jobs.setStage(jobId, stage), context);
+    const diagnosisId = storeDiagnosis(analysis, { source: "recording", fileName: media.fileName, fileSize: media.fileSize });
+
+    jobs.completeJob(jobId, {
+      success: true,
+      message: "Live Recording Analysis Completed!",
+      diagnosisId,
+      analysis,
+    });
+  } catch (error) {
+    console.error(`Job ${jobId} failed:`, error.message);
+    jobs.failJob(jobId, error);
+  } finally {
+    try {
+      if (localFile) {
+        await localFile.cleanup();
+      }
+      await uploads.releaseMedia(media.mediaId);
+      console.log("Cleaned up media:", media.mediaId);
+    } catch (cleanupError) {
+      console.error("File cleanup error:", cleanupError.message);
     }
+  }
+}
+
+// Rejects a request whose vehicle details, trouble codes or language choices
+// cannot be used, before any work starts
+function readDiagnosisContext(res, rawVehicle, rawCodes, rawLanguages = {}) {
+  const vehicle = vehicles.validateVehicle(rawVehicle);
+  if (!vehicle.valid) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid vehicle details",
+      details: vehicle.errors
+    });
+    return null;
+  }
+
+  const codes = dtc.validateCodes(rawCodes);
+  if (!codes.valid) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid trouble codes",
+      details: codes.errors
+    });
+    return null;
+  }
+
+  const languages = languageOptions.validateLanguageOptions(rawLanguages);
+  if (!languages.valid) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid language",
+      details: languages.errors
+    });
+    return null;
+  }
+
+  return {
+    vehicle: vehicle.value,
+    dtcs: codes.value,
+    languages: languages.value,
+    warnings: vehicle.warnings
+  };
+}
+
+app.post("/process-recording", async (req, res) => {
+  try {
+    const { mediaId } = req.body;
+
+    if (!mediaId) {
+      return res.status(400).json({ 
+        success: false,
+        error: "No mediaId provided" 
+      });
+    }
+
+    const context = readDiagnosisContext(res, req.body.vehicle, req.body.dtcs, {
+      language: req.body.language,
+      reportLanguage: req.body.reportLanguage
+    });
+    if (!context) return;
+
+    // Claiming checks ownership and expiry, and stops the same recording being analyzed twice
+    const media = await uploads.claimMedia(mediaId, uploadToken(req));
+
+    console.log("Processing media:", media.mediaId);
+    console.log("File size:", media.fileSize);
+
+    const job = jobs.createJob(uploadToken(req));
+    console.log(`Queued analysis job ${job.id}`);
+
+    if (context.vehicle) {
+      console.log("Vehicle:", vehicles.describeVehicle(context.vehicle));
+    }
+    if (context.dtcs.length) {
+      console.log("Trouble codes:", context.dtcs.map(code => code.code).join(", "));
+    }
+    processRecordingJob(job.id, media, context);
+
+    res.status(202).json({
+      success: true,
+      message: "Analysis started",
+      jobId: job.id,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`,
+      vehicleWarnings: context.warnings,
+      job
+    });
 
   } catch (error) {
+    if (error instanceof uploads.UploadError) {
+      return sendUploadError(res, error, "Server error");
+    }
     console.error("Server error:", error);
     res.status(500).json({ 
       error: "Server error",
@@ -440,12 +691,88 @@ app.post("/process-recording", async (req, res) => {
   }
 });
 
+// Jobs are read with the upload token that started them
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.getJob(req.params.id, uploadToken(req));
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found"
+    });
+  }
+
+  res.json({ success: true, job });
+});
+
+// Server-Sent Events stream of job updates; closes once the job finishes.
+// EventSource cannot send headers, so the token may come as ?uploadToken=.
+app.get("/jobs/:id/events", (req, res) => {
+  const job = jobs.getJob(req.params.id, uploadToken(req) || req.query.uploadToken);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found"
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (snapshot) => {
+    const eventName = jobs.isFinished(snapshot) ? snapshot.status : "progress";
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+  };
+
+  send(job);
+  if (jobs.isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const unsubscribe = jobs.subscribe(job.id, (snapshot) => {
+    send(snapshot);
+    if (jobs.isFinished(snapshot)) {
+      close();
+      res.end();
+    }
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on("close", close);
+});
+
 app.post("/process-recording-legacy", upload.single("recording"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No recording received" });
     }
 
+    // Multipart fields are strings, so the vehicle arrives as JSON
+    let rawVehicle = null;
+    try {
+      rawVehicle = req.body.vehicle ? JSON.parse(req.body.vehicle) : null;
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: "Invalid vehicle details", details: ["vehicle must be a JSON object"] });
+    }
+    // Codes may also come as a plain "P0301, C0035" string
+    const context = readDiagnosisContext(res, rawVehicle, req.body.dtcs, {
+      language: req.body.language,
+      reportLanguage: req.body.reportLanguage
+    });
+    if (!context) return;
+
     console.log("Processing recording... File size:", req.file.size);
 
     const tempDir = '/tmp';
@@ -453,47 +780,19 @@ app.post("/process-recording-legacy", upload.single("recording"), async (req, re
     fs.writeFileSync(tempFilePath, req.file.buffer);
 
     try {
-      console.log("Starting transcription...");
-      const transcription = await transcribeAudio(tempFilePath);
-
-      if (!transcription.success) {
-        throw new Error(`Transcription failed: ${transcription.error}`);
-      }
-
-      console.log("Transcription successful, length:", transcription.text.length);
-
-      const keywordResults = advancedKeywordSearch(transcription.text);
-      console.log("Keyword search found:", keywordResults.totalMatches, "matches");
-
-      console.log("Starting AI analysis...");
-      const analysis = await analyzeWithGroq(transcription.text);
-      console.log("AI analysis completed");
+      const analysis = await runDiagnosisPipeline(tempFilePath, undefined, context);
+      const diagnosisId = storeDiagnosis(analysis, {
+        source: "legacy",
+        fileName: uploads.sanitizeFileName(req.file.originalname),
+        fileSize: req.file.size
+      });
 
-      const response = {
+      res.json({
         success: true,
         message: "Live Recording Analysis Completed!",
-        analysis: {
-          transcription: transcription.text,
-          mainProblem: analysis.mainProblem,
-          problemType: analysis.problemType,
-          specificIssues: analysis.specificIssues,
-          severity: analysis.severity,
-          keywords: analysis.keywords,
-          recommendation: analysis.recommendation,
-          word_count: transcription.text.split(/\s+/).length,
-          problem_count: analysis.specificIssues.length,
-          aiModel: "mixtral-8x7b-32768",
-          keywordSearch: {
-            foundKeywords: keywordResults.foundKeywords,
-            categories: keywordResults.categories,
-            totalKeywordsFound: keywordResults.totalMatches,
-            keywordMatch: keywordResults.totalMatches > 0,
-            totalMatches: keywordResults.totalMatches
-          }
-        },
-      };
-
-      res.json(response);
+        diagnosisId,
+        analysis,
+      });
     } finally {
       try {
         if (fs.existsSync(tempFilePath)) {
@@ -505,6 +804,14 @@ app.post("/process-recording-legacy", upload.single("recording"), async (req, re
     }
 
   } catch (error) {
+    if (error instanceof mediaProbe.MediaValidationError) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        media: error.facts
+      });
+    }
     console.error("Server error:", error);
     res.status(500).json({ 
       error: "Server error",
@@ -513,16 +820,318 @@ app.post("/process-recording-legacy", upload.single("recording"), async (req, re
   }
 });
 
+// Diagnosis history (these routes, the reports, conversations and key frames)
+// is a trusted, shop-internal API: it serves the shop's own history screen,
+// so it is not scoped to the upload token that produced each diagnosis and
+// anyone who can reach the server can read it. Keep the server on the shop's
+// network or behind an authenticating proxy. Only the live job routes, used
+// by customers mid-upload, check the token.
+app.get("/diagnoses", (req, res) => {
+  try {
+    const filters = ["page", "limit", "problemType", "severity", "from", "to", "q"]
+      .reduce((values, name) => ({ ...values, [name]: req.query[name] }), {});
+
+    // A repeated parameter arrives as a list and would silently match nothing
+    const repeated = Object.keys(filters).filter(name => filters[name] !== undefined && typeof filters[name] !== "string");
+    if (repeated.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid filters",
+        details: repeated.map(name => `${name} must be given once, as a single value`)
+      });
+    }
+
+    const result = diagnosisStore.listDiagnoses(filters);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.message === "Invalid date range") {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error("List diagnoses error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to list diagnoses",
+      message: error.message 
+    });
+  }
+});
+
+// Shop-internal, like the rest of the history API
+app.get("/diagnoses/:id", (req, res) => {
+  const diagnosis = diagnosisStore.getDiagnosis(req.params.id);
+
+  if (!diagnosis) {
+    return res.status(404).json({
+      success: false,
+      error: "Diagnosis not found"
+    });
+  }
+
+  res.json({ success: true, diagnosis });
+});
+
+// Work-order exports, shop-internal like the history API. HTML opens in the
+// browser for printing unless ?download=1; the other formats always download.
+// A PDF the server cannot draw is a 422, or the printable HTML with
+// ?fallback=html.
+app.get("/diagnoses/:id/report/:format", async (req, res) => {
+  // Own keys only, so "constructor" or "toString" is not a format
+  const format = Object.hasOwn(reportExport.FORMATS, req.params.format) ? reportExport.FORMATS[req.params.format] : null;
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      error: "Unknown report format",
+      details: [`format must be one of ${Object.keys(reportExport.FORMATS).join(", ")}`]
+    });
+  }
+
+  const diagnosis = diagnosisStore.getDiagnosis(req.params.id);
+  if (!diagnosis) {
+    return res.status(404).json({
+      success: false,
+      error: "Diagnosis not found"
+    });
+  }
+
+  try {
+    const body = await reportExport.renderReport(diagnosis, req.params.format);
+    const fileName = `diagnostic-report-${diagnosis.createdAt.slice(0, 10)}-${diagnosis.id.slice(0, 8)}.${format.extension}`;
+    const disposition = req.params.format === "html" && req.query.download !== "1" ? "inline" : "attachment";
+
+    res.set({
+      "Content-Type": format.contentType,
+      "Content-Disposition": `${disposition}; filename="${fileName}"`
+    });
+    res.send(body);
+  } catch (error) {
+    if (error instanceof reportExport.ReportExportError) {
+      if (req.query.fallback === "html") {
+        // Relative, so it also works behind a path prefix; the rest of the
+        // query (?download=1) still applies to the HTML
+        const query = new URLSearchParams(req.originalUrl.split("?")[1] || "");
+        query.delete("fallback");
+        return res.redirect(303, `html${query.size ? `?${query}` : ""}`);
+      }
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error("Report export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export report",
+      message: error.message
+    });
+  }
+});
+
+// Advisor decisions on the repair estimate: accept or remove line items and
+// change the labor rate. Diagnoses saved before estimates existed get one here.
+app.put("/diagnoses/:id/estimate", (req, res) => {
+  const diagnosis = diagnosisStore.getDiagnosis(req.params.id);
+  if (!diagnosis) {
+    return res.status(404).json({
+      success: false,
+      error: "Diagnosis not found"
+    });
+  }
+
+  try {
+    const current = diagnosis.analysis.estimate || repairEstimate.estimateRepairs(diagnosis.analysis);
+    const update = repairEstimate.validateEstimateUpdate(req.body, current);
+    if (!update.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid estimate update",
+        details: update.errors
+      });
+    }
+
+    const estimate = repairEstimate.applyEstimateUpdate(current, update.value);
+    diagnosisStore.updateAnalysis(diagnosis.id, { estimate });
+    res.json({ success: true, estimate });
+  } catch (error) {
+    console.error("Estimate update error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update estimate",
+      message: error.message
+    });
+  }
+});
+
+app.get("/diagnoses/:id/conversation", (req, res) => {
+  const diagnosis = diagnosisStore.getDiagnosis(req.params.id);
+  if (!diagnosis) {
+    return res.status(404).json({
+      success: false,
+      error: "Diagnosis not found"
+    });
+  }
+
+  res.json({ success: true, messages: diagnosis.conversation || [] });
+});
+
+// Follow-up question about a saved diagnosis, answered from its transcript,
+// keyword hits and AI output along with the earlier questions about it
+app.post("/diagnoses/:id/conversation", async (req, res) => {
+  const question = followUp.validateQuestion(req.body.question);
+  if (!question.valid) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid question",
+      details: question.errors
+    });
+  }
+
+  const diagnosis = diagnosisStore.getDiagnosis(req.params.id);
+  if (!diagnosis) {
+    return res.status(404).json({
+      success: false,
+      error: "Diagnosis not found"
+    });
+  }
+
+  let exchange;
+  try {
+    exchange = await followUp.askFollowUp(diagnosis, question.value);
+  } catch (error) {
+    // Nothing is saved, so the question can simply be asked again
+    console.error(`Follow-up (${llm.config.provider}) error:`, error.message);
+    return res.status(502).json({
+      success: false,
+      error: "The AI model could not answer",
+      message: error.message
+    });
+  }
+
+  try {
+    const record = diagnosisStore.appendConversation(diagnosis.id, exchange);
+    res.json({ success: true, question: exchange[0], answer: exchange[1], messages: record.conversation });
+  } catch (error) {
+    console.error("Save conversation error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save conversation",
+      message: error.message
+    });
+  }
+});
+
+app.delete("/diagnoses/:id/conversation", (req, res) => {
+  try {
+    if (!diagnosisStore.clearConversation(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Diagnosis not found"
+      });
+    }
+
+    res.json({ success: true, messages: [] });
+  } catch (error) {
+    console.error("Clear conversation error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to clear conversation",
+      message: error.message
+    });
+  }
+});
+
+app.delete("/diagnoses/:id", (req, res) => {
+  try {
+    if (!diagnosisStore.deleteDiagnosis(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Diagnosis not found"
+      });
+    }
+
+    res.json({ success: true, message: "Diagnosis deleted" });
+  } catch (error) {
+    console.error("Delete diagnosis error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to delete diagnosis",
+      message: error.message 
+    });
+  }
+});
+
+// Offline decode for filling in the vehicle form as the VIN is typed
+app.get("/vehicles/decode-vin/:vin", (req, res) => {
+  const decoded = vehicles.decodeVin(req.params.vin);
+
+  if (!decoded.valid) {
+    return res.status(422).json({
+      success: false,
+      error: decoded.errors[0],
+      decoded
+    });
+  }
+
+  res.json({ success: true, decoded });
+});
+
+// Describes a single trouble code from the bundled dictionary
+app.get("/dtcs/:code", (req, res) => {
+  const described = dtc.describeCode(req.params.code);
+
+  if (!described.valid) {
+    return res.status(422).json({
+      success: false,
+      error: `${described.code} is not a valid trouble code`
+    });
+  }
+
+  res.json({ success: true, dtc: described });
+});
+
+app.get("/languages", (req, res) => {
+  res.json({
+    success: true,
+    languages: languageOptions.listLanguages(),
+    default: languageOptions.AUTO
+  });
+});
+
+app.get("/repair-catalog", (req, res) => {
+  res.json({ success: true, catalog: repairEstimate.getCatalog() });
+});
+
+// Key frames of saved reports; shop-internal, like the history API
+app.get("/frames/:frameSetId/:frameId", (req, res) => {
+  const framePath = frames.getFramePath(req.params.frameSetId, req.params.frameId);
+
+  if (!framePath) {
+    return res.status(404).json({
+      success: false,
+      error: "Frame not found"
+    });
+  }
+
+  res.sendFile(framePath);
+});
+
 app.get("/", (req, res) => {
-  cleanupOldChunks();
-  
   res.json({
     message: "Vehicle Problem Detector - Chunked Upload Enabled",
     status: "Ready for large video uploads",
-    features: ["Chunked upload", "Live recording", "Keyword search", "AI analysis (Groq)"],
-    totalKeywords: vehicleKeywords.length,
+    features: ["Chunked upload", "Live recording", "Background analysis jobs", "Keyword search", `AI analysis (${llm.config.provider})`, "Diagnosis history", "VIN decoding", "OBD-II trouble codes", "Multilingual transcripts and reports", "Report export (PDF, HTML, JSON, CSV)", "Repair estimates", "Follow-up questions"],
+    totalKeywords: keywords.totalTerms,
+    keywordTaxonomyVersion: keywords.taxonomy.version,
+    dtcDictionaryVersion: dtc.dictionaryVersion,
     environment: process.env.NODE_ENV || 'development',
     chunkUpload: true,
+    transcriptionProvider: transcriber.providerName,
+    transcriptionConfigured: transcriber.isConfigured(),
+    aiProvider: llm.config.provider,
+    aiModel: llm.config.model,
+    aiConfigured: llm.isConfigured(),
     apiKeysConfigured: {
       assemblyAI: !!process.env.ASSEMBLYAI_API_KEY,
       groq: !!process.env.GROQ_API_KEY
@@ -530,21 +1139,103 @@ app.get("/", (req, res) => {
   });
 });
 
-app.post("/cleanup", (req, res) => {
-  cleanupOldChunks();
-  res.json({ success: true, message: "Cleanup completed" });
+app.get("/models", (req, res) => {
+  res.json({
+    success: true,
+    active: llm.config,
+    models: llm.listModels()
+  });
+});
+
+app.post("/cleanup", async (req, res) => {
+  const run = await retention.runNow("manual");
+  res.json({ success: true, message: "Cleanup completed", run });
+});
+
+app.get("/admin/storage", requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      storageBackend: uploadStorage.name,
+      ...await retention.report()
+    });
+  } catch (error) {
+    console.error("Storage report error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to read storage usage",
+      message: error.message
+    });
+  }
+});
+
+app.post("/admin/storage/purge", requireAdmin, async (req, res) => {
+  const run = await retention.runNow("admin");
+
+  if (run.error) {
+    return res.status(500).json({
+      success: false,
+      error: "Purge failed",
+      message: run.error
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Purged ${run.freedBytes} bytes`,
+    run
+  });
+});
+
+// Replaces the repair catalog; the new one applies to estimates made from now on
+app.put("/admin/repair-catalog", requireAdmin, (req, res) => {
+  try {
+    const result = repairEstimate.saveCatalog(req.body);
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid repair catalog",
+        details: result.errors
+      });
+    }
+
+    res.json({ success: true, catalog: repairEstimate.getCatalog() });
+  } catch (error) {
+    console.error("Repair catalog save error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save repair catalog",
+      message: error.message
+    });
+  }
 });
 
 module.exports = app;
 
 if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   const PORT = process.env.PORT || 5000;
+  // Local disk belongs to this process alone; on shared storage other
+  // instances may hold live claims, and the lease frees abandoned ones
+  if (uploadStorage.name === "local") {
+    uploads.releaseClaims()
+      .then(released => released && console.log(`Released ${released} recording(s) claimed before the restart`))
+      .catch(error => console.error("Failed to release claimed recordings:", error.message));
+  }
+  retention.start();
   app.listen(PORT, () => {
     console.log(`Vehicle Problem Detector running on port ${PORT}`);
-    console.log(`Total keywords loaded: ${vehicleKeywords.length}`);
+    console.log(`Total keywords loaded: ${keywords.totalTerms} (taxonomy v${keywords.taxonomy.version})`);
+    console.log(`Trouble codes in dictionary: ${dtc.totalCodes} (v${dtc.dictionaryVersion})`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Chunk upload directory: ${CHUNKS_DIR}`);
-    console.log(`AI Provider: Groq`);
-    console.log(`AI Model: mixtral-8x7b-32768`);
+    console.log(`Upload storage: ${uploadStorage.name} (${uploadStorage.location})`);
+    console.log(`Storage quota: ${retention.QUOTA_BYTES ? `${retention.QUOTA_BYTES / 1024 / 1024} MB` : "unlimited"}`);
+    console.log(`Diagnosis history directory: ${diagnosisStore.DATA_DIR}`);
+    const repairCatalog = repairEstimate.getCatalog();
+    console.log(`Repair catalog: v${repairCatalog.version}, ${repairCatalog.operations.length} operations, ${repairCatalog.currency} ${repairCatalog.laborRate}/h labor`);
+    console.log(`Audio extraction: ${audio.AUDIO_FORMAT}`);
+    console.log(`Audio enhancement: ${audio.isEnhancementEnabled() ? "on" : "off"}`);
+    console.log(`Transcription provider: ${transcriber.providerName}`);
+    console.log(`AI Provider: ${llm.config.provider}`);
+    console.log(`AI Model: ${llm.config.model}`);
   });
 }
\ No newline at end of file
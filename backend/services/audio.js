@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const ffmpeg = require("./ffmpeg");
+
+// opus (Ogg, ~24 kbps) is the smallest upload; flac is lossless for providers that prefer it.
+// "off" sends the original upload straight to transcription.
+const AUDIO_FORMAT = (process.env.AUDIO_EXTRACT_FORMAT || "opus").toLowerCase();
+
+const FORMATS = {
+  opus: { extension: "ogg", codec: "libopus", container: "ogg", bitrate: "24k" },
+  flac: { extension: "flac", codec: "flac", container: "flac", bitrate: null },
+};
+
+if (AUDIO_FORMAT !== "off" && !FORMATS[AUDIO_FORMAT]) {
+  throw new Error(`Unknown AUDIO_EXTRACT_FORMAT "${AUDIO_FORMAT}". Expected one of: ${Object.keys(FORMATS).join(", ")}, off`);
+}
+
+// Optional clean-up pass for recordings made in a workshop or next to a running engine.
+// Set a numeric option to "off" (or 0) to drop that filter from the chain.
+const ENHANCE = {
+  enabled: process.env.AUDIO_ENHANCE === "true",
+  highpassHz: numberOrOff(process.env.AUDIO_HIGHPASS_HZ, 100),
+  lowpassHz: numberOrOff(process.env.AUDIO_LOWPASS_HZ, 7500),
+  denoiseDb: numberOrOff(process.env.AUDIO_DENOISE_DB, 12),
+  loudnessTarget: numberOrOff(process.env.AUDIO_LOUDNESS_TARGET, -16),
+  trimSilence: process.env.AUDIO_TRIM_SILENCE !== "false",
+  silenceThresholdDb: numberOrOff(process.env.AUDIO_SILENCE_THRESHOLD_DB, -45),
+  minSilenceSeconds: numberOrOff(process.env.AUDIO_MIN_SILENCE_SECONDS, 0.5),
+};
+
+function numberOrOff(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  if (value === "off") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number !== 0 ? number : null;
+}
+
+// "00:01:23.45" -> 83.45
+function parseTimemark(timemark) {
+  if (!timemark || timemark === "N/A") return null;
+  const [hours, minutes, seconds] = timemark.split(":").map(Number);
+  const total = hours * 3600 + minutes * 60 + seconds;
+  return Number.isFinite(total) ? Math.round(total * 100) / 100 : null;
+}
+
+// Runs ffmpeg and resolves with the duration ffmpeg reports for the input
+function transcode(command, outputPath) {
+  return new Promise((resolve, reject) => {
+    let duration = null;
+    let lastTimemark = null;
+
+    command
+      .on("codecData", data => { duration = parseTimemark(data.duration); })
+      .on("progress", progress => { lastTimemark = progress.timemark; })
+      .on("end", () => resolve(duration ?? parseTimemark(lastTimemark)))
+      .on("error", (error, stdout, stderr) => {
+        fs.rmSync(outputPath, { force: true });
+        const detail = (stderr || "").trim().split("\n").pop();
+        reject(new Error(`ffmpeg failed: ${detail || error.message}`));
+      })
+      .save(outputPath);
+  });
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Measurement-only pass: EBU R128 loudness plus the silent stretches ffmpeg finds
+function measureAudio(inputPath) {
+  return new Promise((resolve, reject) => {
+    let duration = null;
+
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioFilters([
+        `silencedetect=n=${ENHANCE.silenceThresholdDb ?? -45}dB:d=${ENHANCE.minSilenceSeconds ?? 0.5}`,
+        "loudnorm=print_format=json",
+      ])
+      .format("null")
+      .output("-")
+      .on("codecData", data => { duration = parseTimemark(data.duration); })
+      .on("error", (error, stdout, stderr) => {
+        const detail = (stderr || "").trim().split("\n").pop();
+        reject(new Error(`ffmpeg failed: ${detail || error.message}`));
+      })
+      .on("end", (stdout, stderr) => {
+        const loudnessJson = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+        const loudness = loudnessJson ? JSON.parse(loudnessJson[0]) : {};
+
+        const silences = [];
+        for (const line of stderr.split("\n")) {
+          const start = line.match(/silence_start: (-?[\d.]+)/);
+          const end = line.match(/silence_end: (-?[\d.]+)/);
+          if (start) silences.push({ start: Math.max(parseFloat(start[1]), 0), end: null });
+          if (end && silences.length) silences[silences.length - 1].end = parseFloat(end[1]);
+        }
+
+        resolve({
+          integratedLufs: toNumber(loudness.input_i),
+          truePeakDb: toNumber(loudness.input_tp),
+          loudnessRangeLu: toNumber(loudness.input_lra),
+          durationSeconds: duration,
+          silences,
+        });
+      })
+      .run();
+  });
+}
+
+// Drop the video track and downmix to mono 16 kHz, which is all speech recognition needs
+async function extractAudio(inputPath) {
+  const format = FORMATS[AUDIO_FORMAT];
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  const outputPath = path.join(path.dirname(inputPath), `audio_${baseName}.${format.extension}`);
+
+  const command = ffmpeg(inputPath)
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(16000)
+    .audioCodec(format.codec)
+    .format(format.container);
+
+  if (format.bitrate) {
+    command.audioBitrate(format.bitrate);
+  }
+
+  const durationSeconds = await transcode(command, outputPath);
+
+  return {
+    path: outputPath,
+    format: AUDIO_FORMAT,
+    durationSeconds,
+    sizeBytes: fs.statSync(outputPath).size,
+    originalSizeBytes: fs.statSync(inputPath).size,
+  };
+}
+
+function buildFilterChain(measurement) {
+  const filters = [];
+  let trimStart = 0;
+  let trimEnd = null;
+
+  if (ENHANCE.trimSilence && measurement.silences.length) {
+    const first = measurement.silences[0];
+    const last = measurement.silences[measurement.silences.length - 1];
+    const duration = measurement.durationSeconds;
+
+    if (first.start <= 0.05 && first.end) {
+      trimStart = first.end;
+    }
+    if (last.start > trimStart && (last.end === null || (duration && last.end >= duration - 0.05))) {
+      trimEnd = last.start;
+    }
+  }
+
+  if (trimStart > 0 || trimEnd !== null) {
+    filters.push({
+      name: "trim_silence",
+      filter: `atrim=start=${trimStart}${trimEnd !== null ? `:end=${trimEnd}` : ""},asetpts=PTS-STARTPTS`,
+    });
+  }
+  if (ENHANCE.highpassHz) {
+    filters.push({ name: "highpass", filter: `highpass=f=${ENHANCE.highpassHz}` });
+  }
+  if (ENHANCE.lowpassHz) {
+    filters.push({ name: "lowpass", filter: `lowpass=f=${ENHANCE.lowpassHz}` });
+  }
+  if (ENHANCE.denoiseDb) {
+    filters.push({ name: "denoise", filter: `afftdn=nr=${ENHANCE.denoiseDb}` });
+  }
+  if (ENHANCE.loudnessTarget) {
+    // loudnorm upsamples internally, so bring it back down for the speech engines
+    filters.push({ name: "loudness_normalization", filter: `loudnorm=I=${ENHANCE.loudnessTarget}:TP=-1.5:LRA=11,aresample=16000` });
+  }
+
+  return {
+    filters,
+    trimmedStartSeconds: trimStart,
+    trimmedEndSeconds: trimEnd,
+  };
+}
+
+// Denoise, band-limit, trim and normalize an audio file. Any leading silence
+// removed is reported as trimmedStartSeconds so word timings can be shifted
+// back onto the original recording.
+async function enhanceAudio(inputPath) {
+  const format = FORMATS[AUDIO_FORMAT] || FORMATS.flac;
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  const outputPath = path.join(path.dirname(inputPath), `enhanced_${baseName}.${format.extension}`);
+
+  const before = await measureAudio(inputPath);
+  const chain = buildFilterChain(before);
+
+  const command = ffmpeg(inputPath)
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(16000)
+    .audioCodec(format.codec)
+    .format(format.container);
+
+  if (chain.filters.length) {
+    command.audioFilters(chain.filters.map(entry => entry.filter));
+  }
+  if (format.bitrate) {
+    command.audioBitrate(format.bitrate);
+  }
+
+  await transcode(command, outputPath);
+  const after = await measureAudio(outputPath);
+
+  const stats = ({ integratedLufs, truePeakDb, loudnessRangeLu, durationSeconds }) =>
+    ({ integratedLufs, truePeakDb, loudnessRangeLu, durationSeconds });
+
+  return {
+    path: outputPath,
+    filters: chain.filters.map(entry => entry.name),
+    filterChain: chain.filters.map(entry => entry.filter).join(","),
+    trimmedStartSeconds: chain.trimmedStartSeconds,
+    trimmedEndSeconds: chain.trimmedEndSeconds,
+    before: stats(before),
+    after: stats(after),
+  };
+}
+
+// 16-bit PCM WAV for engines that accept nothing else (whisper.cpp)
+function convertToWav(inputPath, outputPath) {
+  const command = ffmpeg(inputPath)
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(16000)
+    .audioCodec("pcm_s16le")
+    .format("wav");
+
+  return transcode(command, outputPath).then(() => outputPath);
+}
+
+module.exports = {
+  AUDIO_FORMAT,
+  ENHANCE,
+  isEnabled: () => AUDIO_FORMAT !== "off",
+  isEnhancementEnabled: () => ENHANCE.enabled,
+  extractAudio,
+  enhanceAudio,
+  convertToWav,
+};
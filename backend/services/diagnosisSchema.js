@@ -0,0 +1,324 @@
+const keywords = require("./keywords");
+
+// Declared shape of the diagnosis the LLM must return, with validation that
+// coerces near-miss values ("Brakes", "critical", a string instead of a list)
+// and reports everything it could not fix.
+
+const PROBLEM_TYPES = ["brake", "tire", "engine", "electrical", "suspension", "transmission", "oil", "other"];
+const SEVERITIES = ["low", "medium", "high"];
+const URGENCIES = ["immediate", "soon", "routine"];
+const DRIVE_SAFETY = ["safe", "caution", "do_not_drive"];
+// Issues are filed under the keyword taxonomy's systems, which are finer than problemType
+const ISSUE_CATEGORIES = [...Object.keys(keywords.taxonomy.categories), "other"];
+
+const DIAGNOSIS_SCHEMA = {
+  mainProblem: { type: "string", required: true },
+  problemType: { type: "enum", values: PROBLEM_TYPES, required: true },
+  specificIssues: { type: "issues", required: true },
+  severity: { type: "enum", values: SEVERITIES, required: true },
+  keywords: { type: "array", required: false },
+  recommendation: { type: "string", required: true },
+  driveSafety: { type: "driveSafety", required: false },
+};
+
+// Each item of specificIssues
+const ISSUE_SCHEMA = {
+  category: { type: "enum", values: ISSUE_CATEGORIES, aliases: "issueCategory" },
+  severity: { type: "enum", values: SEVERITIES, aliases: "severity" },
+  urgency: { type: "enum", values: URGENCIES, aliases: "urgency" },
+};
+
+// "not safe to drive" must never be read as "safe", so there is no guessing
+// from words mentioned in the verdict
+const VERDICT_RULE = { type: "enum", values: DRIVE_SAFETY, aliases: "driveSafety", strict: true };
+
+const URGENCY_FOR_SEVERITY = { high: "immediate", medium: "soon", low: "routine" };
+const CONFIDENCE_WORDS = { high: 0.8, medium: 0.5, low: 0.3 };
+
+const ENUM_ALIASES = {
+  problemType: {
+    brakes: "brake", braking: "brake", abs: "brake",
+    tires: "tire", tyre: "tire", tyres: "tire", wheel: "tire", wheels: "tire",
+    motor: "engine", cooling: "engine", fuel: "engine", exhaust: "engine", ignition: "engine",
+    electric: "electrical", electronics: "electrical", battery: "electrical",
+    steering: "suspension", shocks: "suspension",
+    gearbox: "transmission", clutch: "transmission", drivetrain: "transmission",
+    lubrication: "oil", "oil leak": "oil",
+    unknown: "other", general: "other", body: "other", hvac: "other",
+    // Reports written in Spanish sometimes translate the enum values too
+    frenos: "brake", freno: "brake", "neumático": "tire", neumaticos: "tire", llanta: "tire", llantas: "tire",
+    "eléctrico": "electrical", electrico: "electrical", "suspensión": "suspension",
+    "dirección": "suspension", "transmisión": "transmission", transmision: "transmission", embrague: "transmission",
+    aceite: "oil", otro: "other", otros: "other",
+  },
+  severity: {
+    critical: "high", severe: "high", urgent: "high", dangerous: "high",
+    moderate: "medium", med: "medium", average: "medium",
+    minor: "low", mild: "low", cosmetic: "low",
+    alta: "high", alto: "high", grave: "high", media: "medium", medio: "medium", moderada: "medium",
+    baja: "low", bajo: "low", leve: "low",
+  },
+  issueCategory: {
+    brakes: "brake", braking: "brake", abs: "brake",
+    tires: "tire", tyre: "tire", tyres: "tire", wheel: "tire", wheels: "tire",
+    motor: "engine", ignition: "engine",
+    electric: "electrical", electronics: "electrical", battery: "electrical",
+    shocks: "suspension", gearbox: "transmission", clutch: "transmission", drivetrain: "transmission",
+    coolant: "cooling", radiator: "cooling", overheating: "cooling", emissions: "exhaust",
+    lubrication: "oil", "oil leak": "oil", interior: "body",
+    ac: "hvac", "a/c": "hvac", "air conditioning": "hvac", heating: "hvac", climate: "hvac",
+    unknown: "other", general: "other",
+    frenos: "brake", freno: "brake", "neumático": "tire", neumaticos: "tire", llanta: "tire", llantas: "tire",
+    "eléctrico": "electrical", electrico: "electrical", "suspensión": "suspension", "dirección": "steering",
+    "transmisión": "transmission", transmision: "transmission", embrague: "transmission", aceite: "oil",
+    "refrigeración": "cooling", escape: "exhaust", combustible: "fuel", "carrocería": "body", otro: "other",
+  },
+  urgency: {
+    urgent: "immediate", now: "immediate", asap: "immediate", "as soon as possible": "immediate", "right away": "immediate",
+    high: "immediate", critical: "immediate", medium: "soon", "this week": "soon", "within a week": "soon",
+    low: "routine", later: "routine", monitor: "routine", "next service": "routine", "at next service": "routine",
+    inmediata: "immediate", inmediato: "immediate", urgente: "immediate", pronto: "soon", rutina: "routine", rutinaria: "routine",
+  },
+  driveSafety: {
+    "safe to drive": "safe", ok: "safe", drivable: "safe", driveable: "safe",
+    "drive with caution": "caution", cautious: "caution", "use caution": "caution", "drive carefully": "caution", "short trips only": "caution",
+    unsafe: "do_not_drive", "not safe": "do_not_drive", "not safe to drive": "do_not_drive", "unsafe to drive": "do_not_drive",
+    "don't drive": "do_not_drive", "dont drive": "do_not_drive", tow: "do_not_drive", "tow it": "do_not_drive",
+    seguro: "safe", "precaución": "caution", "con precaución": "caution", "conducir con precaución": "caution",
+    "no conducir": "do_not_drive", "no conduzca": "do_not_drive", "no es seguro": "do_not_drive", inseguro: "do_not_drive",
+  },
+};
+
+function coerceEnum(field, value, rule, repairs) {
+  if (typeof value !== "string") return undefined;
+
+  const normalized = value.trim().toLowerCase();
+  if (rule.values.includes(normalized)) {
+    if (normalized !== value) repairs.push(`${field}: "${value}" -> "${normalized}"`);
+    return normalized;
+  }
+
+  // "do not drive" or "do-not-drive" for do_not_drive
+  const underscored = normalized.replace(/[\s-]+/g, "_");
+  if (rule.values.includes(underscored)) {
+    repairs.push(`${field}: "${value}" -> "${underscored}"`);
+    return underscored;
+  }
+
+  const aliases = ENUM_ALIASES[rule.aliases || field];
+  const alias = aliases && aliases[normalized];
+  if (alias && rule.values.includes(alias)) {
+    repairs.push(`${field}: "${value}" -> "${alias}"`);
+    return alias;
+  }
+
+  if (rule.strict) return undefined;
+
+  // "brake|tire" or "high severity": take the first allowed value mentioned
+  const mentioned = rule.values.find(allowed => new RegExp(`\\b${allowed}\\b`).test(normalized));
+  if (mentioned) {
+    repairs.push(`${field}: "${value}" -> "${mentioned}"`);
+    return mentioned;
+  }
+
+  return undefined;
+}
+
+function coerceArray(field, value, repairs) {
+  if (Array.isArray(value)) {
+    const items = value
+      .map(item => (typeof item === "string" ? item : item && typeof item === "object" ? item.description || item.issue || item.name || JSON.stringify(item) : String(item)))
+      .map(item => item.trim())
+      .filter(Boolean);
+    if (items.length !== value.length) repairs.push(`${field}: dropped empty items`);
+    return items;
+  }
+
+  if (typeof value === "string") {
+    repairs.push(`${field}: split string into a list`);
+    return value.split(/\n|;|,(?![^(]*\))/).map(item => item.replace(/^[-*\d.)\s]+/, "").trim()).filter(Boolean);
+  }
+
+  return undefined;
+}
+
+// 0.85, "85%", 85 and "high" all mean fairly sure; null when not given
+function coerceConfidence(field, value, repairs) {
+  if (value === undefined || value === null || value === "") return null;
+
+  if (typeof value === "string" && CONFIDENCE_WORDS[value.trim().toLowerCase()] !== undefined) {
+    repairs.push(`${field}: "${value}" -> ${CONFIDENCE_WORDS[value.trim().toLowerCase()]}`);
+    return CONFIDENCE_WORDS[value.trim().toLowerCase()];
+  }
+
+  let number = typeof value === "number" ? value : parseFloat(String(value));
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    repairs.push(`${field}: dropped unreadable ${JSON.stringify(value)}`);
+    return null;
+  }
+  if (number > 1 || (typeof value === "string" && value.includes("%"))) {
+    number /= 100;
+    repairs.push(`${field}: ${JSON.stringify(value)} -> ${number}`);
+  }
+  return Math.round(number * 100) / 100;
+}
+
+// An issue given as plain text keeps its description; the rest is filled in
+// from the overall diagnosis once that has been validated
+function coerceIssue(field, item, errors, repairs) {
+  if (typeof item === "string") {
+    repairs.push(`${field}: text only, filled in from the overall diagnosis`);
+    return { description: item.trim(), category: null, severity: null, confidence: null, likelyCauses: [], urgency: null };
+  }
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    errors.push(`${field} must be an object (got ${JSON.stringify(item)})`);
+    return null;
+  }
+
+  const description = [item.description, item.issue, item.problem, item.name, item.title].find(text => typeof text === "string" && text.trim());
+  if (!description) {
+    errors.push(`${field}.description is required`);
+    return null;
+  }
+
+  const enumField = (key) => {
+    const input = item[key];
+    if (input === undefined || input === null || input === "") return null;
+    const coerced = coerceEnum(`${field}.${key}`, input, ISSUE_SCHEMA[key], repairs);
+    if (!coerced) repairs.push(`${field}.${key}: dropped unknown ${JSON.stringify(input)}`);
+    return coerced || null;
+  };
+
+  return {
+    description: description.trim(),
+    category: enumField("category"),
+    severity: enumField("severity"),
+    confidence: coerceConfidence(`${field}.confidence`, item.confidence, repairs),
+    likelyCauses: coerceArray(`${field}.likelyCauses`, item.likelyCauses ?? item.causes ?? [], repairs) || [],
+    urgency: enumField("urgency"),
+  };
+}
+
+function coerceIssues(field, value, errors, repairs) {
+  let items = value;
+  if (typeof value === "string") {
+    items = coerceArray(field, value, repairs);
+  } else if (value && typeof value === "object" && !Array.isArray(value)) {
+    repairs.push(`${field}: wrapped single issue in a list`);
+    items = [value];
+  } else if (!Array.isArray(value)) {
+    return undefined;
+  }
+
+  return items
+    .map((item, index) => coerceIssue(`${field}[${index}]`, item, errors, repairs))
+    .filter(Boolean);
+}
+
+function coerceDriveSafety(field, value, repairs) {
+  const input = value && typeof value === "object" && !Array.isArray(value) ? value : { verdict: value };
+  const verdict = coerceEnum(`${field}.verdict`, input.verdict ?? input.status ?? input.rating, VERDICT_RULE, repairs);
+  if (!verdict) {
+    repairs.push(`${field}: could not read ${JSON.stringify(value)}, derived from issue severity`);
+    return null;
+  }
+  const reason = typeof input.reason === "string" && input.reason.trim() ? input.reason.trim() : null;
+  return { verdict, reason, derived: false };
+}
+
+// Drive-safety verdict from the issues when the model gave none: a high
+// severity issue that needs fixing immediately means do not drive
+function deriveDriveSafety(issues, overallSeverity = "low") {
+  const graded = issues.length ? issues : [{ severity: overallSeverity, urgency: URGENCY_FOR_SEVERITY[overallSeverity] }];
+  let verdict = "safe";
+  if (graded.some(issue => issue.severity === "high" && issue.urgency === "immediate")) {
+    verdict = "do_not_drive";
+  } else if (graded.some(issue => issue.severity === "high" || issue.severity === "medium")) {
+    verdict = "caution";
+  }
+  return { verdict, reason: null, derived: true };
+}
+
+// Issues saved before they were structured are plain strings
+function normalizeIssue(issue) {
+  if (issue && typeof issue === "object") return issue;
+  return { description: String(issue), category: null, severity: null, confidence: null, likelyCauses: [], urgency: null };
+}
+
+// Returns { valid, value, errors, repairs }. value holds the coerced diagnosis
+// (only meaningful when valid).
+function validateDiagnosis(raw) {
+  const errors = [];
+  const repairs = [];
+  const value = {};
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { valid: false, value: null, errors: ["response must be a JSON object"], repairs };
+  }
+
+  Object.entries(DIAGNOSIS_SCHEMA).forEach(([field, rule]) => {
+    const input = raw[field];
+
+    if (input === undefined || input === null || input === "") {
+      if (rule.required) {
+        errors.push(`${field} is required`);
+      } else if (rule.type === "array") {
+        value[field] = [];
+      }
+      return;
+    }
+
+    let coerced;
+    if (rule.type === "string") {
+      coerced = typeof input === "string" ? input.trim() : Array.isArray(input) ? input.join(" ") : undefined;
+      if (coerced !== undefined && typeof input !== "string") repairs.push(`${field}: joined list into text`);
+    } else if (rule.type === "enum") {
+      coerced = coerceEnum(field, input, rule, repairs);
+      if (coerced === undefined) {
+        errors.push(`${field} must be one of ${rule.values.join(", ")} (got ${JSON.stringify(input)})`);
+        return;
+      }
+    } else if (rule.type === "array") {
+      coerced = coerceArray(field, input, repairs);
+    } else if (rule.type === "issues") {
+      coerced = coerceIssues(field, input, errors, repairs);
+    } else if (rule.type === "driveSafety") {
+      coerced = coerceDriveSafety(field, input, repairs);
+      if (!coerced) return;
+    }
+
+    if (coerced === undefined) {
+      errors.push(`${field} must be ${rule.type === "issues" ? "an array of issue objects" : rule.type === "array" ? "an array of strings" : "a string"} (got ${typeof input})`);
+      return;
+    }
+
+    value[field] = coerced;
+  });
+
+  // Gaps in the issues are filled from the overall grade
+  if (value.specificIssues) {
+    value.specificIssues.forEach(issue => {
+      if (!issue.category) issue.category = ISSUE_CATEGORIES.includes(value.problemType) ? value.problemType : "other";
+      if (!issue.severity) issue.severity = value.severity || "medium";
+      if (!issue.urgency) issue.urgency = URGENCY_FOR_SEVERITY[issue.severity];
+    });
+    if (!value.driveSafety) {
+      value.driveSafety = deriveDriveSafety(value.specificIssues, value.severity);
+    }
+  }
+
+  return { valid: errors.length === 0, value, errors, repairs };
+}
+
+module.exports = {
+  PROBLEM_TYPES,
+  SEVERITIES,
+  URGENCIES,
+  DRIVE_SAFETY,
+  ISSUE_CATEGORIES,
+  URGENCY_FOR_SEVERITY,
+  DIAGNOSIS_SCHEMA,
+  validateDiagnosis,
+  deriveDriveSafety,
+  normalizeIssue,
+};
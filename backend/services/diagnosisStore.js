@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { describeVehicle } = require("./vehicle");
+
+// Vercel only allows writes under /tmp; locally keep history next to the app
+const DATA_DIR = process.env.DATA_DIR || (process.env.VERCEL ? "/tmp/data" : path.join(__dirname, "..", "db"));
+const DB_FILE = path.join(DATA_DIR, "diagnoses.json");
+const FRAMES_DIR = path.join(DATA_DIR, "frames");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+let diagnoses = null;
+
+function load() {
+  if (diagnoses) return diagnoses;
+
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  if (fs.existsSync(DB_FILE)) {
+    try {
+      diagnoses = JSON.parse(fs.readFileSync(DB_FILE, "utf8"));
+    } catch (error) {
+      console.error("Diagnosis store is unreadable, starting empty:", error.message);
+      diagnoses = [];
+    }
+  } else {
+    diagnoses = [];
+  }
+
+  return diagnoses;
+}
+
+// Write to a temp file and rename so a crash never leaves half-written JSON
+function persist() {
+  const tempFile = `${DB_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(diagnoses, null, 2));
+  fs.renameSync(tempFile, DB_FILE);
+}
+
+function summarize(record) {
+  const transcript = record.analysis.transcription || "";
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    source: record.source,
+    fileName: record.fileName,
+    vehicle: describeVehicle(record.analysis.vehicle),
+    troubleCodes: record.analysis.diagnosticCodes ? record.analysis.diagnosticCodes.codes.map(code => code.code) : [],
+    mainProblem: record.analysis.mainProblem,
+    problemType: record.analysis.problemType,
+    severity: record.analysis.severity,
+    driveSafety: record.analysis.driveSafety ? record.analysis.driveSafety.verdict : null,
+    keywordCount: record.analysis.keywordSearch ? record.analysis.keywordSearch.totalMatches : 0,
+    transcriptPreview: transcript.length > 160 ? `${transcript.slice(0, 160)}...` : transcript,
+  };
+}
+
+function saveDiagnosis({ analysis, source, fileName, fileSize }) {
+  load();
+
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    source,
+    fileName: fileName || null,
+    fileSize: fileSize ? Number(fileSize) : null,
+    analysis,
+  };
+
+  diagnoses.push(record);
+  persist();
+  return record;
+}
+
+function getDiagnosis(id) {
+  return load().find(record => record.id === id) || null;
+}
+
+// Merges later edits (such as the advisor's estimate decisions) into a saved analysis
+function updateAnalysis(id, changes) {
+  const record = getDiagnosis(id);
+  if (!record) return null;
+
+  record.analysis = { ...record.analysis, ...changes };
+  record.updatedAt = new Date().toISOString();
+  persist();
+  return record;
+}
+
+// Follow-up questions and answers, kept with the diagnosis they are about
+function appendConversation(id, messages) {
+  const record = getDiagnosis(id);
+  if (!record) return null;
+
+  record.conversation = [...(record.conversation || []), ...messages];
+  record.updatedAt = new Date().toISOString();
+  persist();
+  return record;
+}
+
+function clearConversation(id) {
+  const record = getDiagnosis(id);
+  if (!record) return null;
+
+  record.conversation = [];
+  record.updatedAt = new Date().toISOString();
+  persist();
+  return record;
+}
+
+function deleteDiagnosis(id) {
+  load();
+  const index = diagnoses.findIndex(record => record.id === id);
+  if (index === -1) return false;
+
+  const [record] = diagnoses.splice(index, 1);
+  persist();
+
+  if (record.analysis.frameSetId) {
+    fs.rmSync(path.join(FRAMES_DIR, record.analysis.frameSetId), { recursive: true, force: true });
+  }
+  return true;
+}
+
+// Frames removed by retention: drop them from the reports that showed them
+function detachFrames(frameSetIds) {
+  const expired = new Set(frameSetIds);
+  let updated = 0;
+
+  load().forEach(record => {
+    if (record.analysis.frameSetId && expired.has(record.analysis.frameSetId)) {
+      record.analysis.frameSetId = null;
+      record.analysis.frames = [];
+      record.updatedAt = new Date().toISOString();
+      updated++;
+    }
+  });
+
+  if (updated) persist();
+  return updated;
+}
+
+function listDiagnoses(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const from = filters.from ? Date.parse(filters.from) : null;
+  let to = filters.to ? Date.parse(filters.to) : null;
+  const search = filters.q ? String(filters.q).toLowerCase() : null;
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error("Invalid date range");
+  }
+  // A bare date for "to" means the whole of that day
+  if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+    to += 24 * 60 * 60 * 1000 - 1;
+  }
+
+  const matches = load()
+    .filter(record => {
+      const createdAt = Date.parse(record.createdAt);
+      if (filters.problemType && record.analysis.problemType !== filters.problemType) return false;
+      if (filters.severity && record.analysis.severity !== filters.severity) return false;
+      if (from !== null && createdAt < from) return false;
+      if (to !== null && createdAt > to) return false;
+      if (search && !(record.analysis.transcription || "").toLowerCase().includes(search)) return false;
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    diagnoses: matches.slice((page - 1) * limit, page * limit).map(summarize),
+    pagination: {
+      page,
+      limit,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / limit),
+    },
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  FRAMES_DIR,
+  saveDiagnosis,
+  getDiagnosis,
+  updateAnalysis,
+  appendConversation,
+  clearConversation,
+  deleteDiagnosis,
+  detachFrames,
+  listDiagnoses,
+};
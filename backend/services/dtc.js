@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const keywords = require("./keywords");
+
+// OBD-II diagnostic trouble codes (DTCs) from a scanner, described from a
+// bundled dictionary and compared with what the customer said. Codes not in
+// the dictionary are still described by their group (P03xx is ignition or
+// misfire, for example). DTC_DICTIONARY_FILE points at a fuller dictionary.
+const DICTIONARY_FILE = process.env.DTC_DICTIONARY_FILE || path.join(__dirname, "..", "data", "dtcDictionary.json");
+const dictionary = loadDictionary(DICTIONARY_FILE);
+
+const MAX_CODES = 20;
+const CODE_PATTERN = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+function loadDictionary(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (!data.version || !data.systems || !Array.isArray(data.groups) || !data.codes) {
+    throw new Error(`DTC dictionary ${file} must have version, systems, groups and codes`);
+  }
+
+  const categories = new Set(Object.keys(keywords.taxonomy.categories));
+  [...data.groups, ...Object.values(data.codes)].forEach(entry => {
+    const unknown = entry.categories.find(category => !categories.has(category));
+    if (unknown) {
+      throw new Error(`DTC dictionary entry "${entry.prefix || entry.description}" has unknown category "${unknown}"`);
+    }
+  });
+
+  return {
+    ...data,
+    // Longest prefix first so "P34" is found before "P3"
+    groups: [...data.groups].sort((a, b) => b.prefix.length - a.prefix.length),
+  };
+}
+
+const normalizeCode = (code) => String(code || "").toUpperCase().replace(/[\s-]/g, "");
+
+// SAE reserves some ranges for codes every manufacturer shares; the rest are
+// defined per manufacturer and only the group can be inferred
+function isGeneric(code) {
+  const [system, digit, third] = code;
+  if (system === "P") {
+    return digit === "0" || digit === "2" || (digit === "3" && !/[0-3]/.test(third));
+  }
+  return digit === "0" || digit === "3";
+}
+
+// Manufacturer codes follow the generic grouping, so P13xx is looked up as P03xx
+function findGroup(code, generic) {
+  const lookup = generic ? code : `${code[0]}0${code.slice(2)}`;
+  return dictionary.groups.find(group => lookup.startsWith(group.prefix))
+    || dictionary.groups.find(group => code.startsWith(group.prefix))
+    || null;
+}
+
+function describeCode(input) {
+  const code = normalizeCode(input);
+  if (!CODE_PATTERN.test(code)) {
+    return { code, valid: false };
+  }
+
+  const generic = isGeneric(code);
+  const entry = dictionary.codes[code];
+  const group = findGroup(code, generic);
+
+  let description = entry ? entry.description : null;
+  if (!description) {
+    description = group ? `${group.description} (${generic ? "code not in dictionary" : "manufacturer-specific"})` : `${generic ? "Generic" : "Manufacturer-specific"} ${dictionary.systems[code[0]].toLowerCase()} code`;
+  }
+
+  return {
+    code,
+    valid: true,
+    system: dictionary.systems[code[0]],
+    scope: generic ? "generic" : "manufacturer",
+    known: !!entry,
+    description,
+    group: group ? group.description : null,
+    categories: entry ? entry.categories : group ? group.categories : [],
+  };
+}
+
+// Accepts a list or a comma/space separated string. Returns
+// { valid, value, errors } where value holds the described codes.
+function validateCodes(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { valid: true, value: [], errors: [] };
+  }
+
+  const list = typeof raw === "string" ? raw.split(/[\s,;]+/) : raw;
+  if (!Array.isArray(list)) {
+    return { valid: false, value: [], errors: ["dtcs must be a list of codes"] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const value = [];
+
+  list.map(normalizeCode).filter(Boolean).forEach(code => {
+    if (seen.has(code)) return;
+    seen.add(code);
+
+    const described = describeCode(code);
+    if (!described.valid) {
+      errors.push(`${code} is not a valid trouble code (expected a letter P, C, B or U and four characters, e.g. P0301)`);
+    } else {
+      value.push(described);
+    }
+  });
+
+  if (value.length > MAX_CODES) {
+    errors.push(`At most ${MAX_CODES} trouble codes can be sent (got ${value.length})`);
+  }
+
+  return { valid: errors.length === 0, value, errors };
+}
+
+// Compares each code's systems with the spoken complaint:
+// - supports: the customer complained about one of the code's systems
+// - contradicts: the customer said that system was fine or already fixed,
+//   and made no complaint about it
+// - unmentioned: the transcript says nothing about the code's systems
+// Also lists complaint categories no code accounts for.
+function correlateCodes(codes, keywordResults) {
+  if (!codes.length) return null;
+
+  const complaints = keywordResults.hits.filter(hit => hit.isComplaint);
+  const denials = keywordResults.hits.filter(hit => !hit.isComplaint && (hit.polarity === "absent" || hit.polarity === "resolved"));
+
+  const correlated = codes.map(code => {
+    const supporting = complaints.filter(hit => code.categories.includes(hit.category));
+    const contradicting = denials.filter(hit => code.categories.includes(hit.category));
+
+    let correlation = "unmentioned";
+    if (supporting.length) correlation = "supports";
+    else if (contradicting.length) correlation = "contradicts";
+
+    return {
+      ...code,
+      correlation,
+      evidence: (supporting.length ? supporting : contradicting).map(hit => ({
+        keyword: hit.keyword,
+        category: hit.category,
+        polarity: hit.polarity,
+      })),
+    };
+  });
+
+  const covered = new Set(codes.flatMap(code => code.categories));
+  const byCorrelation = (correlation) => correlated.filter(code => code.correlation === correlation).map(code => code.code);
+
+  return {
+    dictionaryVersion: dictionary.version,
+    codes: correlated,
+    supporting: byCorrelation("supports"),
+    contradicting: byCorrelation("contradicts"),
+    unmentioned: byCorrelation("unmentioned"),
+    unexplainedCategories: keywordResults.categoryDetails
+      .filter(detail => !covered.has(detail.category))
+      .map(detail => detail.label),
+  };
+}
+
+// Lines for the LLM prompt, one per code
+function describeForPrompt(correlation) {
+  return correlation.codes
+    .map(code => `${code.code} (${code.scope}): ${code.description} - ${code.correlation === "supports" ? "matches the spoken complaint" : code.correlation === "contradicts" ? "customer said this system is fine or was fixed" : "not mentioned by the customer"}`)
+    .join("\n");
+}
+
+module.exports = {
+  MAX_CODES,
+  dictionaryVersion: dictionary.version,
+  totalCodes: Object.keys(dictionary.codes).length,
+  describeCode,
+  validateCodes,
+  correlateCodes,
+  describeForPrompt,
+};
@@ -0,0 +1,10 @@
+const ffmpeg = require("fluent-ffmpeg");
+const ffmpegPath = require("ffmpeg-static");
+const ffprobe = require("ffprobe-static");
+
+// fluent-ffmpeg configured with the bundled binaries; FFMPEG_PATH and
+// FFPROBE_PATH override them
+ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegPath);
+ffmpeg.setFfprobePath(process.env.FFPROBE_PATH || ffprobe.path);
+
+module.exports = ffmpeg;
@@ -0,0 +1,140 @@
+const llm = require("./llm");
+const dtc = require("./dtc");
+const { describeVehicle } = require("./vehicle");
+const { languageName } = require("./languages");
+const { normalizeIssue } = require("./diagnosisSchema");
+
+// Follow-up questions about a saved diagnosis ("is it safe to drive to the
+// shop?"). Each answer is grounded in what the diagnosis recorded: the
+// transcript, keyword hits, trouble codes, the AI output and the estimate,
+// plus the earlier questions and answers about the same diagnosis.
+const MAX_QUESTION_LENGTH = 1000;
+// Earlier exchanges sent back to the model; older ones stay in the history
+const MAX_HISTORY_EXCHANGES = parseInt(process.env.FOLLOW_UP_HISTORY_EXCHANGES, 10) || 10;
+
+const POLARITY_NOTES = {
+  present: "complained about",
+  uncertain: "mentioned as a possibility",
+  absent: "customer said it is not a problem",
+  resolved: "customer said it was already fixed",
+};
+
+function validateQuestion(raw) {
+  if (typeof raw !== "string" || !raw.trim()) {
+    return { valid: false, value: null, errors: ["question must be a non-empty string"] };
+  }
+
+  const question = raw.trim();
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return { valid: false, value: null, errors: [`question must be at most ${MAX_QUESTION_LENGTH} characters (got ${question.length})`] };
+  }
+
+  return { valid: true, value: question, errors: [] };
+}
+
+const formatSeconds = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+function describeIssue(issue) {
+  const issueFacts = [issue.category, issue.severity && `${issue.severity} severity`, issue.urgency && `urgency ${issue.urgency}`,
+    issue.confidence !== null && issue.confidence !== undefined && `confidence ${issue.confidence}`].filter(Boolean);
+  const causes = issue.likelyCauses && issue.likelyCauses.length ? `; likely causes: ${issue.likelyCauses.join(", ")}` : "";
+  return `- ${issue.description}${issueFacts.length ? ` (${issueFacts.join(", ")})` : ""}${causes}`;
+}
+
+function describeHit(hit) {
+  const first = hit.occurrences && hit.occurrences[0];
+  const at = first && first.start !== null && first.start !== undefined ? ` at ${formatSeconds(first.start)}` : "";
+  return `- ${hit.keyword} (${hit.category}, ${hit.subsystem}): ${POLARITY_NOTES[hit.polarity] || hit.polarity}; heard "${hit.matchedTerms.join("\", \"")}"${at}`;
+}
+
+// Everything the model may rely on, taken from the stored record
+function buildContext(record) {
+  const analysis = record.analysis;
+  const sections = [];
+
+  if (analysis.vehicle) {
+    sections.push(`VEHICLE: ${describeVehicle(analysis.vehicle)}${analysis.vehicle.vin ? ` (VIN ${analysis.vehicle.vin})` : ""}`);
+  }
+
+  sections.push(`TRANSCRIPT OF THE CUSTOMER'S RECORDING:\n"${analysis.transcription || ""}"`);
+
+  const hits = analysis.keywordSearch ? analysis.keywordSearch.hits || [] : [];
+  sections.push(`KEYWORD HITS:\n${hits.length ? hits.map(describeHit).join("\n") : "None"}`);
+
+  if (analysis.diagnosticCodes) {
+    sections.push(`SCANNER TROUBLE CODES:\n${dtc.describeForPrompt(analysis.diagnosticCodes)}`);
+  }
+
+  sections.push(`DIAGNOSIS${analysis.degraded ? " (built from keywords only; the AI diagnosis was unavailable)" : ""}:
+Main problem: ${analysis.mainProblem}
+System: ${analysis.problemType}
+Severity: ${analysis.severity}
+Specific issues:
+${(analysis.specificIssues || []).map(normalizeIssue).map(describeIssue).join("\n") || "- None"}
+Recommendation: ${analysis.recommendation}${analysis.driveSafety ? `
+Drive-safety verdict: ${analysis.driveSafety.verdict}${analysis.driveSafety.reason ? ` - ${analysis.driveSafety.reason}` : ""}` : ""}`);
+
+  if (analysis.estimate) {
+    const items = analysis.estimate.items.filter(item => item.status !== "removed");
+    if (items.length) {
+      sections.push(`REPAIR ESTIMATE (${analysis.estimate.currency}, labor ${analysis.estimate.laborRate}/h):\n${items
+        .map(item => `- ${item.name}: ${item.total.low}-${item.total.high}${item.status === "accepted" ? " (approved by the service advisor)" : ""}`)
+        .join("\n")}`);
+    }
+  }
+
+  return sections.join("\n\n");
+}
+
+function buildMessages(record, question) {
+  const reportLanguage = record.analysis.languages ? record.analysis.languages.report : "en";
+
+  const system = `You are an expert automotive technician answering a service advisor's or customer's follow-up questions about one vehicle diagnosis.
+Base your answers on the diagnosis record below and general automotive knowledge. Say so when the recording does not tell you something, and never invent readings, measurements or codes that are not in the record.
+For questions about whether the vehicle is safe to drive, be cautious: name the warning signs that mean the driver should stop and have it towed.
+When asked about another possible cause, say what in the record supports or argues against it and how a technician would tell them apart.
+Answer in the language of the question (the report is in ${languageName(reportLanguage)}). Keep answers short and in plain text without markdown.
+
+${buildContext(record)}`;
+
+  const history = (record.conversation || []).slice(-MAX_HISTORY_EXCHANGES * 2);
+
+  return [
+    { role: "system", content: system },
+    ...history.map(message => ({ role: message.role, content: message.content })),
+    { role: "user", content: question },
+  ];
+}
+
+// Resolves to the question and answer as they are stored in the history
+async function askFollowUp(record, question) {
+  const askedAt = new Date().toISOString();
+  const completion = await llm.complete(buildMessages(record, question), { json: false });
+  const answer = (completion.content || "").trim();
+
+  if (!answer) {
+    throw new Error(`Empty response from ${completion.provider}`);
+  }
+
+  return [
+    { role: "user", content: question, createdAt: askedAt },
+    {
+      role: "assistant",
+      content: answer,
+      createdAt: new Date().toISOString(),
+      aiProvider: completion.provider,
+      aiModel: completion.model,
+      aiUsage: completion.usage,
+      aiLatencyMs: completion.latencyMs,
+    },
+  ];
+}
+
+module.exports = {
+  MAX_QUESTION_LENGTH,
+  validateQuestion,
+  askFollowUp,
+};
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const ffmpeg = require("./ffmpeg");
+const { FRAMES_DIR } = require("./diagnosisStore");
+const { locateText } = require("./transcriptTiming");
+
+const MAX_FRAMES = parseInt(process.env.FRAMES_MAX, 10) || 12;
+const FRAME_WIDTH = parseInt(process.env.FRAMES_WIDTH, 10) || 480;
+// People tend to point the camera at the part just after naming it
+const LOOK_AHEAD_MS = 500;
+// Moments closer together than this share a single frame
+const MIN_GAP_MS = 1500;
+
+function extractFrame(videoPath, timeSeconds, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .seekInput(timeSeconds)
+      .frames(1)
+      .videoFilters(`scale=${FRAME_WIDTH}:-2`)
+      .outputOptions(["-q:v", "4"])
+      .on("end", () => {
+        // Seeking past the end of the stream "succeeds" without writing anything
+        if (fs.existsSync(outputPath)) {
+          resolve(outputPath);
+        } else {
+          reject(new Error(`No frame at ${timeSeconds}s`));
+        }
+      })
+      .on("error", reject)
+      .save(outputPath);
+  });
+}
+
+// Moments worth a thumbnail: where each detected keyword and each AI-identified
+// issue was spoken. Issues are linked to a moment either directly or through a
+// keyword (or the synonym actually said) that appears in the issue text.
+function findSymptomMoments(words, keywordHits, specificIssues) {
+  const moments = [];
+
+  keywordHits.forEach(hit => {
+    const occurrence = hit.occurrences.find(mention => mention.polarity === "present") || hit.occurrences[0];
+    if (occurrence) {
+      const terms = [hit.keyword, ...(hit.matchedTerms || [])].map(term => term.toLowerCase());
+      const issueIndexes = specificIssues
+        .map((issue, index) => (terms.some(term => String(issue).toLowerCase().includes(term)) ? index : -1))
+        .filter(index => index !== -1);
+      moments.push({ timeMs: occurrence.start, term: hit.keyword, source: "keyword", issueIndexes });
+    }
+  });
+
+  specificIssues.forEach((issue, index) => {
+    if (moments.some(moment => moment.issueIndexes.includes(index))) return;
+
+    const location = locateText(words, String(issue));
+    if (location) {
+      moments.push({ timeMs: location.start, term: String(issue), source: "issue", issueIndexes: [index] });
+    }
+  });
+
+  moments.sort((a, b) => a.timeMs - b.timeMs);
+
+  const merged = [];
+  moments.forEach(moment => {
+    const previous = merged[merged.length - 1];
+    if (previous && moment.timeMs - previous.timeMs < MIN_GAP_MS) {
+      previous.issueIndexes = [...new Set([...previous.issueIndexes, ...moment.issueIndexes])];
+    } else {
+      merged.push({ ...moment });
+    }
+  });
+
+  return merged.slice(0, MAX_FRAMES);
+}
+
+// Saves a thumbnail for each symptom moment under FRAMES_DIR/<frameSetId>/.
+// Frames that cannot be grabbed (audio-only upload, seek past the end) are skipped.
+async function extractSymptomFrames(videoPath, { words, keywordHits, specificIssues }) {
+  const moments = findSymptomMoments(words || [], keywordHits || [], specificIssues || []);
+  const frameSetId = crypto.randomUUID();
+  const outputDir = path.join(FRAMES_DIR, frameSetId);
+  const frames = [];
+
+  if (!moments.length) {
+    return { frameSetId: null, frames };
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  for (let i = 0; i < moments.length; i++) {
+    const moment = moments[i];
+    const fileName = `frame_${i + 1}.jpg`;
+    const timeSeconds = (moment.timeMs + LOOK_AHEAD_MS) / 1000;
+
+    try {
+      await extractFrame(videoPath, timeSeconds, path.join(outputDir, fileName));
+      frames.push({
+        id: fileName,
+        url: `/frames/${frameSetId}/${fileName}`,
+        timeSeconds: Math.round(timeSeconds * 100) / 100,
+        term: moment.term,
+        source: moment.source,
+        issueIndexes: moment.issueIndexes,
+      });
+    } catch (error) {
+      console.error(`Frame extraction at ${timeSeconds}s failed:`, error.message);
+    }
+  }
+
+  if (!frames.length) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    return { frameSetId: null, frames };
+  }
+
+  return { frameSetId, frames };
+}
+
+function getFramePath(frameSetId, frameId) {
+  // Both parts come from the URL, so refuse anything that could walk out of FRAMES_DIR
+  if (!/^[0-9a-f-]{36}$/.test(frameSetId) || !/^frame_\d+\.jpg$/.test(frameId)) {
+    return null;
+  }
+  const framePath = path.join(FRAMES_DIR, frameSetId, frameId);
+  return fs.existsSync(framePath) ? framePath : null;
+}
+
+module.exports = {
+  extractSymptomFrames,
+  getFramePath,
+};
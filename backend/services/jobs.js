@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Stages every analysis job walks through, in order
+const PIPELINE_STAGES = [
+  { key: "queued", label: "Queued" },
+  { key: "validating_media", label: "Checking recording" },
+  { key: "extracting_audio", label: "Extracting audio" },
+  { key: "enhancing_audio", label: "Enhancing audio" },
+  { key: "transcribing", label: "Transcribing audio" },
+  { key: "keyword_search", label: "Searching keywords" },
+  { key: "ai_analysis", label: "AI analysis" },
+  { key: "extracting_frames", label: "Capturing key frames" },
+];
+
+// Finished jobs are kept around this long so clients can still fetch the result
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    stages: job.stages.map(stage => ({ ...stage })),
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    errorDetails: job.errorDetails,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+function publish(job) {
+  job.updatedAt = new Date().toISOString();
+  emitter.emit(job.id, serializeJob(job));
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if ((job.status === "completed" || job.status === "failed") && Date.parse(job.updatedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// ownerToken is the upload token of the recording being analyzed; only
+// requests carrying it can see the job, since its result holds the transcript
+function createJob(ownerToken) {
+  pruneJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    stage: "queued",
+    progress: 0,
+    message: "Waiting to start",
+    stages: PIPELINE_STAGES.map((stage, index) => ({
+      key: stage.key,
+      label: stage.label,
+      status: index === 0 ? "active" : "pending",
+      startedAt: index === 0 ? now : null,
+      finishedAt: null,
+    })),
+    result: null,
+    error: null,
+    errorCode: null,
+    errorDetails: null,
+    createdAt: now,
+    updatedAt: now,
+    ownerHash: sha256(ownerToken),
+  };
+
+  jobs.set(job.id, job);
+  return serializeJob(job);
+}
+
+// Someone else's job looks exactly like a missing one
+function getJob(id, token) {
+  const job = jobs.get(id);
+  if (!job || typeof token !== "string" || !token) return null;
+
+  const expected = Buffer.from(job.ownerHash, "hex");
+  const actual = Buffer.from(sha256(token), "hex");
+  return crypto.timingSafeEqual(expected, actual) ? serializeJob(job) : null;
+}
+
+function setStage(id, stageKey, message) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = new Date().toISOString();
+  const targetIndex = job.stages.findIndex(stage => stage.key === stageKey);
+  if (targetIndex === -1) {
+    throw new Error(`Unknown job stage: ${stageKey}`);
+  }
+
+  job.stages.forEach((stage, index) => {
+    if (index < targetIndex && stage.status !== "done") {
+      stage.status = "done";
+      stage.startedAt = stage.startedAt || now;
+      stage.finishedAt = now;
+    } else if (index === targetIndex) {
+      stage.status = "active";
+      stage.startedAt = now;
+    }
+  });
+
+  job.status = "running";
+  job.stage = stageKey;
+  job.progress = Math.round((targetIndex / job.stages.length) * 100);
+  job.message = message || job.stages[targetIndex].label;
+  publish(job);
+}
+
+function completeJob(id, result) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = new Date().toISOString();
+  job.stages.forEach(stage => {
+    if (stage.status !== "done") {
+      stage.status = "done";
+      stage.startedAt = stage.startedAt || now;
+      stage.finishedAt = now;
+    }
+  });
+
+  job.status = "completed";
+  job.stage = "done";
+  job.progress = 100;
+  job.message = "Analysis completed";
+  job.result = result;
+  publish(job);
+}
+
+function failJob(id, error) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = new Date().toISOString();
+  const activeStage = job.stages.find(stage => stage.status === "active");
+  if (activeStage) {
+    activeStage.status = "failed";
+    activeStage.finishedAt = now;
+  }
+
+  job.status = "failed";
+  job.stage = "failed";
+  job.message = "Analysis failed";
+  job.error = error.message || String(error);
+  job.errorCode = error.code || null;
+  job.errorDetails = error.facts || null;
+  publish(job);
+}
+
+function isFinished(job) {
+  return job.status === "completed" || job.status === "failed";
+}
+
+// Returns an unsubscribe function
+function subscribe(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  createJob,
+  getJob,
+  setStage,
+  completeJob,
+  failJob,
+  isFinished,
+  subscribe,
+};
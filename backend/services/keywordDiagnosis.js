@@ -0,0 +1,87 @@
+const { categoryLabel } = require("./keywords");
+const { URGENCY_FOR_SEVERITY, deriveDriveSafety } = require("./diagnosisSchema");
+
+// Last-resort diagnosis built only from the keyword search, used when the
+// LLM is unreachable or keeps returning output that fails validation.
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Report wording per language; keywords stay the canonical English terms
+const MESSAGES = {
+  en: {
+    noIssue: "No specific vehicle issue could be identified from the recording",
+    noIssueRecommendation: "Automated AI diagnosis was unavailable. Have a technician review the recording and inspect the vehicle.",
+    mainProblem: (system, keywords) => `Possible ${system.toLowerCase()} problem: ${keywords}`,
+    possibility: " - mentioned as a possibility",
+    recommendation: (systems) => `Automated AI diagnosis was unavailable, so this report is based on keywords only. Have a technician inspect the ${systems}.`,
+  },
+  es: {
+    noIssue: "No se pudo identificar un problema concreto del vehículo en la grabación",
+    noIssueRecommendation: "El diagnóstico automático con IA no estaba disponible. Pida a un técnico que revise la grabación e inspeccione el vehículo.",
+    mainProblem: (system, keywords) => `Posible problema en ${system.toLowerCase()}: ${keywords}`,
+    possibility: " - mencionado como posibilidad",
+    recommendation: (systems) => `El diagnóstico automático con IA no estaba disponible, así que este informe se basa solo en palabras clave. Pida a un técnico que inspeccione: ${systems}.`,
+  },
+  ur: {
+    noIssue: "ریکارڈنگ سے گاڑی کا کوئی خاص مسئلہ معلوم نہیں ہو سکا",
+    noIssueRecommendation: "خودکار AI تشخیص دستیاب نہیں تھی۔ کسی مکینک سے ریکارڈنگ سنوائیں اور گاڑی چیک کروائیں۔",
+    mainProblem: (system, keywords) => `ممکنہ مسئلہ (${system}): ${keywords}`,
+    possibility: " - ممکنہ طور پر ذکر کیا گیا",
+    recommendation: (systems) => `خودکار AI تشخیص دستیاب نہیں تھی، اس لیے یہ رپورٹ صرف الفاظ کی بنیاد پر ہے۔ کسی مکینک سے یہ حصے چیک کروائیں: ${systems}۔`,
+  },
+};
+
+function buildKeywordDiagnosis(keywordResults, language = "en") {
+  const messages = MESSAGES[language] || MESSAGES.en;
+  const complaints = keywordResults.hits.filter(hit => hit.isComplaint);
+
+  if (!complaints.length) {
+    return {
+      mainProblem: messages.noIssue,
+      problemType: "other",
+      specificIssues: [],
+      severity: "low",
+      keywords: [],
+      recommendation: messages.noIssueRecommendation,
+      driveSafety: deriveDriveSafety([], "low"),
+    };
+  }
+
+  // The system with the most complaints is the primary one
+  const primary = [...keywordResults.categoryDetails].sort((a, b) => b.keywords.length - a.keywords.length)[0];
+
+  // Each complaint is graded by its own keyword, so a minor one is not
+  // raised to the level of the worst
+  const hitSeverity = (hit) => (hit.polarity === "present" ? hit.severityHint : "low") || "medium";
+  const severity = complaints
+    .map(hitSeverity)
+    .reduce((worst, current) => (SEVERITY_RANK[current] > SEVERITY_RANK[worst] ? current : worst), "low");
+
+  const systems = keywordResults.categoryDetails.map(detail => categoryLabel(detail.category, language));
+  // Quote the customer's own words when the report is in the language they spoke
+  const describeHit = (hit) => (language !== "en" && language === keywordResults.language
+    ? hit.matchedTerms[0]
+    : `${hit.keyword} (${hit.subsystem})`);
+
+  const diagnosis = {
+    mainProblem: messages.mainProblem(categoryLabel(primary.category, language), primary.keywords.join(", ")),
+    problemType: primary.problemType,
+    specificIssues: complaints.map(hit => ({
+      description: `${describeHit(hit)}${hit.polarity === "uncertain" ? messages.possibility : ""}`,
+      category: hit.category,
+      severity: hitSeverity(hit),
+      confidence: hit.confidence,
+      likelyCauses: [],
+      urgency: URGENCY_FOR_SEVERITY[hitSeverity(hit)],
+    })),
+    severity,
+    keywords: complaints.map(hit => hit.keyword),
+    recommendation: messages.recommendation(language === "en" ? systems.join(", ").toLowerCase() : systems.join(", ")),
+  };
+  diagnosis.driveSafety = deriveDriveSafety(diagnosis.specificIssues, severity);
+  return diagnosis;
+}
+
+module.exports = {
+  buildKeywordDiagnosis,
+};
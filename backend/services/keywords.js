@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeToken, tokenize } = require("./transcriptTiming");
+const { buildCues, classifyContext } = require("./symptomContext");
+
+// Versioned keyword taxonomy: canonical terms with category, sub-system,
+// synonyms/slang and an optional severity hint. KEYWORD_TAXONOMY_FILE points
+// at a shop-specific copy.
+const TAXONOMY_FILE = process.env.KEYWORD_TAXONOMY_FILE || path.join(__dirname, "..", "data", "keywordTaxonomy.json");
+
+// Per-language term lists (<language>.json): what customers say for each
+// canonical term in that language, category labels and context cue words.
+// Hits are always reported under the canonical English term.
+const TERMS_DIR = process.env.KEYWORD_TERMS_DIR || path.join(__dirname, "..", "data", "keywordTerms");
+
+// Longest variants first so "squeaky brakes" is credited before "brakes"
+function buildVariants(variants) {
+  return variants
+    .map(variant => ({ text: variant.toLowerCase(), tokens: tokenize(variant) }))
+    .filter(variant => variant.tokens.length)
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+}
+
+function loadTaxonomy(file) {
+  const taxonomy = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (!taxonomy.version || !taxonomy.categories || !Array.isArray(taxonomy.terms)) {
+    throw new Error(`Keyword taxonomy ${file} must have version, categories and terms`);
+  }
+
+  taxonomy.terms.forEach(entry => {
+    if (!entry.term || !taxonomy.categories[entry.category]) {
+      throw new Error(`Keyword taxonomy entry "${entry.term}" has unknown category "${entry.category}"`);
+    }
+  });
+
+  return {
+    ...taxonomy,
+    terms: taxonomy.terms.map(entry => ({
+      ...entry,
+      variants: buildVariants([entry.term, ...(entry.synonyms || [])]),
+    })),
+  };
+}
+
+const taxonomy = loadTaxonomy(TAXONOMY_FILE);
+
+// Every term's variants, longest first across the whole lexicon; the sort is
+// stable, so taxonomy order breaks ties
+const lexiconVariants = (terms) => terms
+  .flatMap(entry => entry.variants.map(variant => ({ entry, variant })))
+  .sort((a, b) => b.variant.tokens.length - a.variant.tokens.length);
+
+function loadTermLists(dir) {
+  const lexicons = {
+    en: {
+      language: "en",
+      version: taxonomy.version,
+      categories: {},
+      terms: taxonomy.terms,
+      variants: lexiconVariants(taxonomy.terms),
+      cues: buildCues(null),
+    },
+  };
+  if (!fs.existsSync(dir)) return lexicons;
+
+  const canonical = new Set(taxonomy.terms.map(entry => entry.term));
+
+  fs.readdirSync(dir).filter(file => file.endsWith(".json")).sort().forEach(file => {
+    const list = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+
+    if (!list.language || !list.version || !list.terms) {
+      throw new Error(`Keyword term list ${file} must have language, version and terms`);
+    }
+    const unknown = Object.keys(list.terms).find(term => !canonical.has(term));
+    if (unknown) {
+      throw new Error(`Keyword term list ${file} has unknown term "${unknown}"`);
+    }
+
+    const cues = list.cues || {};
+    const normalizeCues = (words) => (words || []).map(normalizeToken).filter(Boolean);
+
+    const terms = taxonomy.terms.map(entry => ({
+      ...entry,
+      variants: buildVariants([entry.term, ...(entry.synonyms || []), ...(list.terms[entry.term] || [])]),
+    }));
+
+    lexicons[list.language] = {
+      language: list.language,
+      version: list.version,
+      categories: list.categories || {},
+      terms,
+      variants: lexiconVariants(terms),
+      cues: buildCues({
+        negation: normalizeCues(cues.negation),
+        resolvedBefore: normalizeCues(cues.resolvedBefore),
+        resolvedAfter: normalizeCues(cues.resolvedAfter),
+        hedge: normalizeCues(cues.hedge),
+        okAfter: normalizeCues(cues.okAfter),
+        clauseBreakers: normalizeCues(cues.clauseBreakers),
+        negationAfter: cues.negationAfter,
+      }),
+    };
+  });
+
+  return lexicons;
+}
+
+const lexicons = loadTermLists(TERMS_DIR);
+
+// Category label in the given language, falling back to the taxonomy's English one
+function categoryLabel(category, language = "en") {
+  const lexicon = lexicons[language];
+  return (lexicon && lexicon.categories[category]) || taxonomy.categories[category].label;
+}
+
+// Words speech recognition commonly writes instead of the automotive term
+const SOUND_ALIKES = {
+  break: "brake",
+  breaks: "brakes",
+  breaking: "braking",
+  tyre: "tire",
+  tyres: "tires",
+  tired: "tire",
+  rotter: "rotor",
+  struts: "strut",
+  cluch: "clutch",
+  altinator: "alternator",
+  alternater: "alternator",
+};
+
+const MATCH_CONFIDENCE = { exact: 0.95, fuzzy: 0.7 };
+const POLARITY_WEIGHT = { present: 1, uncertain: 0.6, absent: 1, resolved: 1 };
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return 2;
+
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous.splice(0, previous.length, ...current);
+  }
+  return previous[b.length];
+}
+
+// "exact" (allowing plurals), "fuzzy" (sound-alike or one typo) or null
+function compareToken(spoken, expected) {
+  if (spoken === expected || spoken === `${expected}s` || `${spoken}s` === expected || spoken === `${expected}es`) {
+    return "exact";
+  }
+  if (SOUND_ALIKES[spoken] === expected || SOUND_ALIKES[spoken] === `${expected}s` || `${SOUND_ALIKES[spoken]}s` === expected) {
+    return "fuzzy";
+  }
+  if (expected.length >= 5 && editDistance(spoken, expected) <= 1) {
+    return "fuzzy";
+  }
+  return null;
+}
+
+// A variant matches at a position when every token matches. Single-word
+// variants must be exact and longer phrases need at least one exact word, so
+// typo tolerance cannot conjure a symptom out of unrelated speech.
+function matchVariantAt(tokens, index, variant) {
+  let fuzzy = false;
+  let exactCount = 0;
+
+  for (let offset = 0; offset < variant.tokens.length; offset++) {
+    const spoken = tokens[index + offset];
+    if (spoken === undefined) return null;
+
+    const result = compareToken(spoken, variant.tokens[offset]);
+    if (!result) return null;
+    if (result === "fuzzy") fuzzy = true;
+    else exactCount++;
+  }
+
+  if (fuzzy && (variant.tokens.length === 1 || exactCount === 0)) return null;
+  return fuzzy ? "fuzzy" : "exact";
+}
+
+// words: optional word-level timings; without them the text is split into
+// untimed words. Every mention gets a polarity (present, uncertain, absent,
+// resolved) and only present or uncertain terms count as detected issues.
+// language picks the term list; languages without one use English only.
+function advancedKeywordSearch(text, words = [], language = "en") {
+  const lexicon = lexicons[language] || lexicons.en;
+  const sourceWords = words.length
+    ? words
+    : text.split(/\s+/).filter(Boolean).map(word => ({ text: word, start: null, end: null }));
+  const rawTokens = sourceWords.map(word => word.text);
+  const tokens = rawTokens.map(normalizeToken);
+  // A word belongs to at most one mention, and the longest phrase gets it:
+  // "check engine light failure" is the check engine light, not a light failure
+  const claimed = new Set();
+  const occurrencesByTerm = new Map();
+  const hits = [];
+
+  lexicon.variants.forEach(({ entry, variant }) => {
+    for (let i = 0; i < tokens.length; i++) {
+      const span = variant.tokens.map((_, offset) => i + offset);
+      if (span.some(index => claimed.has(index))) continue;
+
+      const matchType = matchVariantAt(tokens, i, variant);
+      if (!matchType) continue;
+
+      const endIndex = i + variant.tokens.length - 1;
+      const context = classifyContext(tokens, rawTokens, i, endIndex, lexicon.cues);
+      span.forEach(index => claimed.add(index));
+
+      if (!occurrencesByTerm.has(entry.term)) occurrencesByTerm.set(entry.term, []);
+      occurrencesByTerm.get(entry.term).push({
+        heard: rawTokens.slice(i, endIndex + 1).join(" "),
+        variant: variant.text,
+        start: sourceWords[i].start,
+        end: sourceWords[endIndex].end,
+        wordIndex: i,
+        wordCount: variant.tokens.length,
+        fuzzy: matchType === "fuzzy",
+        polarity: context.polarity,
+        cue: context.cue,
+        confidence: Math.round(MATCH_CONFIDENCE[matchType] * POLARITY_WEIGHT[context.polarity] * 100) / 100,
+      });
+    }
+  });
+
+  lexicon.terms.forEach(entry => {
+    const occurrences = occurrencesByTerm.get(entry.term);
+    if (!occurrences) return;
+    occurrences.sort((a, b) => a.wordIndex - b.wordIndex);
+
+    // One real complaint outweighs any number of "no longer" mentions
+    const complaints = occurrences.filter(occurrence => occurrence.polarity === "present" || occurrence.polarity === "uncertain");
+    const strongest = (complaints.length ? complaints : occurrences)
+      .reduce((best, occurrence) => (occurrence.confidence > best.confidence ? occurrence : best));
+
+    hits.push({
+      keyword: entry.term,
+      category: entry.category,
+      subsystem: entry.subsystem,
+      severityHint: entry.severityHint || null,
+      matchedTerms: [...new Set(occurrences.map(occurrence => occurrence.variant))],
+      isComplaint: complaints.length > 0,
+      polarity: complaints.some(occurrence => occurrence.polarity === "present") ? "present" : strongest.polarity,
+      confidence: strongest.confidence,
+      occurrences,
+    });
+  });
+
+  const complaints = hits.filter(hit => hit.isComplaint);
+  const categories = [...new Set(complaints.map(hit => hit.category))];
+
+  return {
+    taxonomyVersion: taxonomy.version,
+    language: lexicon.language,
+    termListVersion: lexicon.version,
+    foundKeywords: complaints.map(hit => hit.keyword),
+    dismissedKeywords: hits.filter(hit => !hit.isComplaint).map(hit => ({ keyword: hit.keyword, polarity: hit.polarity })),
+    categories,
+    categoryDetails: categories.map(category => ({
+      category,
+      label: taxonomy.categories[category].label,
+      problemType: taxonomy.categories[category].problemType,
+      keywords: complaints.filter(hit => hit.category === category).map(hit => hit.keyword),
+    })),
+    totalMatches: complaints.length,
+    hits,
+  };
+}
+
+module.exports = {
+  taxonomy,
+  totalTerms: taxonomy.terms.length,
+  languages: Object.keys(lexicons),
+  categoryLabel,
+  advancedKeywordSearch,
+};
@@ -0,0 +1,78 @@
+const keywords = require("./keywords");
+
+// Languages a recording can be spoken in and a report written in. Spoken
+// languages without a keyword term list still work; keyword matching then
+// falls back to the English terms.
+const LANGUAGES = {
+  en: { name: "English", nativeName: "English", rtl: false },
+  es: { name: "Spanish", nativeName: "Español", rtl: false },
+  ur: { name: "Urdu", nativeName: "اردو", rtl: true },
+};
+
+const AUTO = "auto";
+const DEFAULT_LANGUAGE = "en";
+
+// Providers report "en_us", "es-419" or "EN"; keep the base language
+function normalizeLanguage(code) {
+  if (!code) return null;
+  return String(code).toLowerCase().split(/[-_]/)[0] || null;
+}
+
+const isSupported = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, language]) => ({
+    code,
+    ...language,
+    keywordTerms: keywords.languages.includes(code),
+  }));
+}
+
+// Validates the language options sent with a recording. Returns
+// { valid, value: { spoken, report }, errors }; both default to "auto".
+function validateLanguageOptions({ language, reportLanguage }) {
+  const errors = [];
+  const read = (field, value) => {
+    const code = value ? normalizeLanguage(value) : AUTO;
+    if (code !== AUTO && !isSupported(code)) {
+      errors.push(`${field} must be one of ${[AUTO, ...Object.keys(LANGUAGES)].join(", ")} (got ${JSON.stringify(value)})`);
+      return AUTO;
+    }
+    return code;
+  };
+
+  const value = {
+    spoken: read("language", language),
+    report: read("reportLanguage", reportLanguage),
+  };
+  return { valid: errors.length === 0, value, errors };
+}
+
+// After transcription: which language the customer spoke, which term list
+// to match keywords with, and which language to write the report in
+// ("auto" means the spoken language when supported, otherwise English).
+function resolveLanguages(options, transcriptLanguage) {
+  const detected = normalizeLanguage(transcriptLanguage);
+  const spoken = detected || (options.spoken !== AUTO ? options.spoken : null);
+  const supportedSpoken = spoken && isSupported(spoken) ? spoken : null;
+
+  return {
+    requested: options.spoken,
+    detected,
+    keywords: spoken && keywords.languages.includes(spoken) ? spoken : DEFAULT_LANGUAGE,
+    report: options.report !== AUTO ? options.report : supportedSpoken || DEFAULT_LANGUAGE,
+  };
+}
+
+const languageName = (code) => (LANGUAGES[code] ? LANGUAGES[code].name : code);
+
+module.exports = {
+  AUTO,
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  normalizeLanguage,
+  listLanguages,
+  validateLanguageOptions,
+  resolveLanguages,
+  languageName,
+};
@@ -0,0 +1,38 @@
+const Groq = require("groq-sdk");
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new Groq({
+      apiKey: process.env.GROQ_API_KEY
+    });
+  }
+  return client;
+}
+
+async function complete({ messages, model, temperature, maxTokens, json }) {
+  const chatCompletion = await getClient().chat.completions.create({
+    messages,
+    model,
+    temperature,
+    max_tokens: maxTokens,
+    ...(json ? { response_format: { type: "json_object" } } : {}),
+  });
+
+  return {
+    content: chatCompletion.choices[0]?.message?.content || "",
+    model: chatCompletion.model || model,
+    usage: {
+      promptTokens: chatCompletion.usage?.prompt_tokens ?? null,
+      completionTokens: chatCompletion.usage?.completion_tokens ?? null,
+      totalTokens: chatCompletion.usage?.total_tokens ?? null,
+    },
+  };
+}
+
+module.exports = {
+  name: "groq",
+  isConfigured: () => !!process.env.GROQ_API_KEY,
+  complete,
+};
@@ -0,0 +1,55 @@
+const { DEFAULT_MODELS, getModel, listModels } = require("./models");
+
+const providers = {
+  groq: require("./groq"),
+  openai: require("./openaiCompatible"),
+  stub: require("./stub"),
+};
+
+const providerName = (process.env.LLM_PROVIDER || "groq").toLowerCase();
+const provider = providers[providerName];
+
+if (!provider) {
+  throw new Error(`Unknown LLM_PROVIDER "${providerName}". Expected one of: ${Object.keys(providers).join(", ")}`);
+}
+
+const config = {
+  provider: provider.name,
+  model: process.env.LLM_MODEL || DEFAULT_MODELS[provider.name],
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.1,
+  // Structured issues with likely causes need more room than a flat list did
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 2048,
+};
+
+const modelInfo = getModel(config.model);
+if (modelInfo && modelInfo.provider !== provider.name) {
+  console.warn(`LLM model ${config.model} is registered for ${modelInfo.provider}, not ${provider.name}`);
+}
+
+// Resolves to { content, provider, model, usage, latencyMs } where model is the
+// one the backend reports it actually ran
+async function complete(messages, options = {}) {
+  const startedAt = Date.now();
+  const result = await provider.complete({
+    messages,
+    model: options.model || config.model,
+    temperature: options.temperature ?? config.temperature,
+    maxTokens: options.maxTokens || config.maxTokens,
+    json: options.json ?? (modelInfo ? modelInfo.jsonMode : true),
+  });
+
+  return {
+    content: result.content,
+    provider: provider.name,
+    model: result.model,
+    usage: result.usage,
+    latencyMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = {
+  config,
+  isConfigured: provider.isConfigured,
+  listModels,
+  complete,
+};
@@ -0,0 +1,31 @@
+// Known models per provider. Models missing from the registry can still be
+// used through LLM_MODEL; they just get the provider's defaults.
+const MODELS = {
+  "llama-3.3-70b-versatile": { provider: "groq", label: "Llama 3.3 70B Versatile", contextWindow: 131072, jsonMode: true },
+  "llama-3.1-8b-instant": { provider: "groq", label: "Llama 3.1 8B Instant", contextWindow: 131072, jsonMode: true },
+  "openai/gpt-oss-120b": { provider: "groq", label: "GPT-OSS 120B", contextWindow: 131072, jsonMode: true },
+  "gpt-4o-mini": { provider: "openai", label: "GPT-4o mini", contextWindow: 128000, jsonMode: true },
+  "llama3.1:8b": { provider: "openai", label: "Llama 3.1 8B (Ollama)", contextWindow: 8192, jsonMode: true },
+  "stub-diagnostic": { provider: "stub", label: "Stub diagnostic model", contextWindow: null, jsonMode: true },
+};
+
+const DEFAULT_MODELS = {
+  groq: "llama-3.3-70b-versatile",
+  openai: "llama3.1:8b",
+  stub: "stub-diagnostic",
+};
+
+function getModel(name) {
+  return MODELS[name] || null;
+}
+
+function listModels() {
+  return Object.entries(MODELS).map(([name, model]) => ({ name, ...model }));
+}
+
+module.exports = {
+  MODELS,
+  DEFAULT_MODELS,
+  getModel,
+  listModels,
+};
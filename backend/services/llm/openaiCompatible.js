@@ -0,0 +1,46 @@
+// Any server implementing POST /chat/completions: OpenAI, Ollama
+// (http://localhost:11434/v1), llama.cpp server, vLLM, LM Studio...
+const BASE_URL = (process.env.LLM_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+const API_KEY = process.env.LLM_API_KEY;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000;
+
+async function complete({ messages, model, temperature, maxTokens, json }) {
+  const response = await fetch(`${BASE_URL}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {}),
+    },
+    body: JSON.stringify({
+      messages,
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`LLM endpoint returned ${response.status}: ${body.slice(0, 300)}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    content: data.choices?.[0]?.message?.content || "",
+    model: data.model || model,
+    usage: {
+      promptTokens: data.usage?.prompt_tokens ?? null,
+      completionTokens: data.usage?.completion_tokens ?? null,
+      totalTokens: data.usage?.total_tokens ?? null,
+    },
+  };
+}
+
+module.exports = {
+  name: "openai",
+  isConfigured: () => !!process.env.LLM_BASE_URL || !!API_KEY,
+  complete,
+};
@@ -0,0 +1,53 @@
+const fs = require("fs");
+
+// Offline provider for development and tests. JSON requests get
+// LLM_STUB_RESPONSE (a file holding the raw reply) when set, otherwise a fixed
+// diagnosis; plain-text requests such as follow-up questions get a fixed answer.
+const DEFAULT_RESPONSE = {
+  mainProblem: "Unable to determine the issue without a live AI model",
+  problemType: "other",
+  specificIssues: [
+    {
+      description: "Stub analysis - no AI model was consulted",
+      category: "other",
+      severity: "low",
+      confidence: 0,
+      likelyCauses: [],
+      urgency: "routine",
+    },
+  ],
+  severity: "low",
+  keywords: [],
+  recommendation: "Configure an LLM provider for a real diagnosis, or have a technician inspect the vehicle.",
+  driveSafety: {
+    verdict: "caution",
+    reason: "No AI model was consulted, so drive-safety could not be assessed.",
+  },
+};
+
+const DEFAULT_ANSWER = "Stub answer - no AI model was consulted. Configure an LLM provider to get answers about this diagnosis.";
+
+async function complete({ model, json }) {
+  let content = DEFAULT_ANSWER;
+  if (json) {
+    content = process.env.LLM_STUB_RESPONSE
+      ? fs.readFileSync(process.env.LLM_STUB_RESPONSE, "utf8")
+      : JSON.stringify(DEFAULT_RESPONSE);
+  }
+
+  return {
+    content,
+    model,
+    usage: {
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+    },
+  };
+}
+
+module.exports = {
+  name: "stub",
+  isConfigured: () => true,
+  complete,
+};
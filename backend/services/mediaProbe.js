@@ -0,0 +1,161 @@
+const ffmpeg = require("./ffmpeg");
+
+// Checks a recording is worth transcribing before any API call is made:
+// it must decode, carry an audio track that is not silent, and fall within
+// the allowed length.
+// A configured 0 is a setting (MEDIA_SILENCE_DB=0), not a missing value
+function numberFromEnv(name, fallback) {
+  const number = parseFloat(process.env[name]);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+const LIMITS = {
+  minSeconds: numberFromEnv("MEDIA_MIN_SECONDS", 1),
+  maxSeconds: numberFromEnv("MEDIA_MAX_SECONDS", 600),
+  // Loudest moment below this counts as silence
+  silenceMaxVolumeDb: numberFromEnv("MEDIA_SILENCE_DB", -50),
+};
+
+class MediaValidationError extends Error {
+  constructor(code, message, facts) {
+    super(message);
+    this.name = "MediaValidationError";
+    this.code = code;
+    this.facts = facts || null;
+  }
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// "10/1" -> 10
+function parseRate(rate) {
+  if (!rate || rate === "0/0") return null;
+  const [numerator, denominator] = rate.split("/").map(Number);
+  return denominator ? Math.round((numerator / denominator) * 100) / 100 : toNumber(rate);
+}
+
+function parseTime(time) {
+  const [hours, minutes, seconds] = time.split(":").map(Number);
+  return Math.round((hours * 3600 + minutes * 60 + seconds) * 100) / 100;
+}
+
+function ffprobe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => (error ? reject(error) : resolve(metadata)));
+  });
+}
+
+// Decodes the audio track once. Browser recordings often carry no duration in
+// the container, so the decoded length is the reliable one. Decoding stops
+// just past the length limit; anything longer is rejected either way.
+function measureLevels(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .noVideo()
+      .audioFilters("volumedetect")
+      .outputOptions(["-t", String(LIMITS.maxSeconds + 1)])
+      .format("null")
+      .output("-")
+      .on("error", (error, stdout, stderr) => {
+        const detail = (stderr || "").trim().split("\n").pop();
+        reject(new Error(detail || error.message));
+      })
+      .on("end", (stdout, stderr) => {
+        const times = [...stderr.matchAll(/time=(\d+:\d+:[\d.]+)/g)];
+        const meanVolume = stderr.match(/mean_volume: (-?[\d.]+|-inf) dB/);
+        const maxVolume = stderr.match(/max_volume: (-?[\d.]+|-inf) dB/);
+
+        // Digital silence is reported as -inf, which comes back as null
+        resolve({
+          decodedSeconds: times.length ? parseTime(times[times.length - 1][1]) : null,
+          meanVolumeDb: meanVolume ? toNumber(meanVolume[1]) : null,
+          maxVolumeDb: maxVolume ? toNumber(maxVolume[1]) : null,
+        });
+      })
+      .run();
+  });
+}
+
+function describeStreams(metadata) {
+  // Cover art in an mp3 or m4a shows up as a one-frame video stream
+  const video = metadata.streams.find(stream => stream.codec_type === "video" && !(stream.disposition && stream.disposition.attached_pic));
+  const audio = metadata.streams.find(stream => stream.codec_type === "audio");
+
+  return {
+    container: metadata.format.format_name || null,
+    containerName: metadata.format.format_long_name || null,
+    sizeBytes: toNumber(metadata.format.size),
+    bitRate: toNumber(metadata.format.bit_rate),
+    video: video ? {
+      codec: video.codec_name,
+      width: video.width,
+      height: video.height,
+      frameRate: parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate),
+    } : null,
+    audio: audio ? {
+      codec: audio.codec_name,
+      sampleRate: toNumber(audio.sample_rate),
+      channels: audio.channels || null,
+      bitRate: toNumber(audio.bit_rate),
+    } : null,
+  };
+}
+
+function checkTooLong(facts) {
+  if (facts.durationSeconds > LIMITS.maxSeconds) {
+    throw new MediaValidationError("TOO_LONG", `The recording is too long (${Math.round(facts.durationSeconds)}s). The limit is ${LIMITS.maxSeconds}s.`, facts);
+  }
+}
+
+// Resolves with the media facts or rejects with a MediaValidationError whose
+// code is CORRUPT_MEDIA, NO_AUDIO_TRACK, TOO_SHORT, TOO_LONG or SILENT_AUDIO
+async function probeMedia(filePath) {
+  let metadata;
+  try {
+    metadata = await ffprobe(filePath);
+  } catch (error) {
+    throw new MediaValidationError("CORRUPT_MEDIA", "The recording could not be read. It may be corrupt or in an unsupported format.");
+  }
+
+  const facts = {
+    ...describeStreams(metadata),
+    durationSeconds: toNumber(metadata.format.duration),
+    meanVolumeDb: null,
+    maxVolumeDb: null,
+  };
+
+  if (!facts.audio) {
+    throw new MediaValidationError("NO_AUDIO_TRACK", "The recording has no audio track. Check that the microphone was enabled.", facts);
+  }
+
+  // A length the container states is enough to turn a recording away undecoded
+  checkTooLong(facts);
+
+  try {
+    const levels = await measureLevels(filePath);
+    facts.durationSeconds = facts.durationSeconds ?? levels.decodedSeconds;
+    facts.meanVolumeDb = levels.meanVolumeDb;
+    facts.maxVolumeDb = levels.maxVolumeDb;
+  } catch (error) {
+    throw new MediaValidationError("CORRUPT_MEDIA", `The recording's audio could not be decoded: ${error.message}`, facts);
+  }
+
+  if (facts.durationSeconds === null || facts.durationSeconds < LIMITS.minSeconds) {
+    throw new MediaValidationError("TOO_SHORT", `The recording is too short. It must be at least ${LIMITS.minSeconds} second${LIMITS.minSeconds === 1 ? "" : "s"} long.`, facts);
+  }
+  checkTooLong(facts);
+  if (facts.maxVolumeDb === null || facts.maxVolumeDb < LIMITS.silenceMaxVolumeDb) {
+    throw new MediaValidationError("SILENT_AUDIO", "The recording's audio is silent. Check that the microphone was not muted.", facts);
+  }
+
+  return facts;
+}
+
+module.exports = {
+  LIMITS,
+  MediaValidationError,
+  probeMedia,
+};
@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const keywords = require("./keywords");
+const { DATA_DIR } = require("./diagnosisStore");
+const { normalizeIssue } = require("./diagnosisSchema");
+
+// Repair estimates from a local catalog of operations (labor hours, typical
+// parts and price ranges) keyed to the keyword taxonomy. Each specific issue
+// is searched for taxonomy terms and mapped to the operations that fix them;
+// issues that name no known part get an inspection for their system.
+//
+// REPAIR_CATALOG_FILE points at a shop-specific catalog. Without it, a copy
+// saved through the admin API (DATA_DIR/repairCatalog.json) wins over the
+// bundled one. REPAIR_LABOR_RATE and REPAIR_CURRENCY override the catalog's
+// defaults; part prices are read as being in that currency.
+const BUNDLED_FILE = path.join(__dirname, "..", "data", "repairCatalog.json");
+const SAVED_FILE = path.join(DATA_DIR, "repairCatalog.json");
+const CATALOG_FILE = process.env.REPAIR_CATALOG_FILE || (fs.existsSync(SAVED_FILE) ? SAVED_FILE : BUNDLED_FILE);
+const EDIT_FILE = process.env.REPAIR_CATALOG_FILE || SAVED_FILE;
+
+const MAX_CANDIDATES = 3;
+const MAX_LABOR_RATE = 10000;
+const ITEM_STATUSES = ["proposed", "accepted", "removed"];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const isRange = (range, max) => range && typeof range === "object"
+  && Number.isFinite(range.low) && Number.isFinite(range.high)
+  && range.low >= 0 && range.high >= range.low && range.high <= max;
+
+const isLaborRate = (rate) => Number.isFinite(rate) && rate > 0 && rate <= MAX_LABOR_RATE;
+
+function validateCatalog(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { valid: false, value: null, errors: ["catalog must be an object"] };
+  }
+
+  const errors = [];
+  const categories = keywords.taxonomy.categories;
+  const terms = new Set(keywords.taxonomy.terms.map(entry => entry.term));
+  const ids = new Set();
+
+  if (!raw.version) errors.push("version is required");
+  if (!CURRENCY_PATTERN.test(raw.currency || "")) errors.push("currency must be a three-letter code such as USD");
+  if (!isLaborRate(raw.laborRate)) errors.push(`laborRate must be a number between 0 and ${MAX_LABOR_RATE}`);
+  if (!Array.isArray(raw.operations) || !raw.operations.length) {
+    errors.push("operations must be a non-empty list");
+    return { valid: false, value: null, errors };
+  }
+
+  raw.operations.forEach((operation, index) => {
+    const label = `operations[${index}]${operation && operation.id ? ` (${operation.id})` : ""}`;
+    if (!operation || typeof operation !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!operation.id || typeof operation.id !== "string") errors.push(`${label} needs an id`);
+    else if (ids.has(operation.id)) errors.push(`${label} repeats id "${operation.id}"`);
+    ids.add(operation.id);
+
+    if (!operation.name || typeof operation.name !== "string") errors.push(`${label} needs a name`);
+    if (operation.category !== null && !categories[operation.category]) {
+      errors.push(`${label} has unknown category "${operation.category}"`);
+    }
+    if (!Array.isArray(operation.terms)) {
+      errors.push(`${label} terms must be a list`);
+    } else {
+      operation.terms.filter(term => !terms.has(term)).forEach(term => {
+        errors.push(`${label} has unknown term "${term}"`);
+      });
+      if (!operation.terms.length && !operation.inspection) {
+        errors.push(`${label} needs at least one term unless it is an inspection`);
+      }
+    }
+    if (!isRange(operation.laborHours, 100)) errors.push(`${label} laborHours must be {low, high} hours`);
+    if (!Array.isArray(operation.parts) || operation.parts.some(part => !part || !part.name || !isRange(part, 1000000))) {
+      errors.push(`${label} parts must be a list of {name, low, high} prices`);
+    }
+  });
+
+  const inspectionCategories = raw.operations.filter(operation => operation && operation.inspection).map(operation => operation.category);
+  if (!inspectionCategories.includes(null)) {
+    errors.push("operations need a general inspection (inspection: true, category: null)");
+  }
+
+  return { valid: errors.length === 0, value: errors.length ? null : raw, errors };
+}
+
+function loadCatalog(file) {
+  const result = validateCatalog(JSON.parse(fs.readFileSync(file, "utf8")));
+  if (!result.valid) {
+    throw new Error(`Repair catalog ${file} is invalid: ${result.errors.join("; ")}`);
+  }
+  return result.value;
+}
+
+let catalog = loadCatalog(CATALOG_FILE);
+
+const defaultLaborRate = () => Number(process.env.REPAIR_LABOR_RATE) || catalog.laborRate;
+const defaultCurrency = () => (CURRENCY_PATTERN.test(process.env.REPAIR_CURRENCY || "") ? process.env.REPAIR_CURRENCY : catalog.currency);
+
+function getCatalog() {
+  return {
+    ...catalog,
+    laborRate: defaultLaborRate(),
+    currency: defaultCurrency(),
+  };
+}
+
+// Same temp file and rename as the diagnosis store
+function saveCatalog(raw) {
+  const result = validateCatalog(raw);
+  if (!result.valid) return result;
+
+  fs.mkdirSync(path.dirname(EDIT_FILE), { recursive: true });
+  const tempFile = `${EDIT_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(result.value, null, 2));
+  fs.renameSync(tempFile, EDIT_FILE);
+
+  catalog = result.value;
+  console.log(`Repair catalog v${catalog.version} saved to ${EDIT_FILE}`);
+  return result;
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const sumRanges = (ranges) => ranges.reduce(
+  (total, range) => ({ low: roundMoney(total.low + range.low), high: roundMoney(total.high + range.high) }),
+  { low: 0, high: 0 }
+);
+
+function priceItem(item, laborRate) {
+  const laborCost = { low: roundMoney(item.laborHours.low * laborRate), high: roundMoney(item.laborHours.high * laborRate) };
+  const partsCost = sumRanges(item.parts);
+  return { ...item, laborCost, partsCost, total: sumRanges([laborCost, partsCost]) };
+}
+
+function priceEstimate(estimate) {
+  const items = estimate.items.map(item => priceItem(item, estimate.laborRate));
+  return {
+    ...estimate,
+    items,
+    totals: {
+      quoted: sumRanges(items.filter(item => item.status !== "removed").map(item => item.total)),
+      accepted: sumRanges(items.filter(item => item.status === "accepted").map(item => item.total)),
+    },
+  };
+}
+
+// The inspection for the system an issue belongs to, or a general one
+function inspectionFor(category) {
+  const inspections = catalog.operations.filter(operation => operation.inspection);
+  return inspections.find(operation => operation.category === category)
+    || inspections.find(operation => operation.category === null);
+}
+
+function matchIssue(text, fallbackCategory, language) {
+  const complaints = keywords.advancedKeywordSearch(String(text), [], language).hits.filter(hit => hit.isComplaint);
+  const heard = complaints.map(hit => hit.keyword);
+
+  // Most matched terms first; catalog order breaks ties
+  const candidates = catalog.operations
+    .filter(operation => !operation.inspection)
+    .map(operation => ({ operation, matchedTerms: operation.terms.filter(term => heard.includes(term)) }))
+    .filter(candidate => candidate.matchedTerms.length)
+    .sort((a, b) => b.matchedTerms.length - a.matchedTerms.length)
+    .slice(0, MAX_CANDIDATES);
+
+  if (candidates.length) return { basis: "keyword", candidates };
+
+  const category = complaints.length ? complaints[0].category : fallbackCategory;
+  return { basis: "inspection", candidates: [{ operation: inspectionFor(category), matchedTerms: [] }] };
+}
+
+function estimateRepairs(analysis, { language } = {}) {
+  const issueLanguage = language || (analysis.languages && analysis.languages.report) || "en";
+  const items = new Map();
+
+  const issues = (analysis.specificIssues || []).map(normalizeIssue).map((issue, index) => {
+    const text = issue.description;
+    const { basis, candidates } = matchIssue(text, issue.category || analysis.problemType, issueLanguage);
+
+    candidates.forEach(({ operation, matchedTerms }) => {
+      const item = items.get(operation.id) || {
+        id: operation.id,
+        name: operation.name,
+        category: operation.category,
+        basis,
+        issues: [],
+        matchedTerms: [],
+        laborHours: { ...operation.laborHours },
+        parts: operation.parts.map(part => ({ ...part })),
+        status: "proposed",
+      };
+      item.issues.push(index);
+      item.matchedTerms = [...new Set([...item.matchedTerms, ...matchedTerms])];
+      items.set(operation.id, item);
+    });
+
+    return { index, text, basis, operations: candidates.map(candidate => candidate.operation.id) };
+  });
+
+  return priceEstimate({
+    catalogVersion: catalog.version,
+    currency: defaultCurrency(),
+    laborRate: defaultLaborRate(),
+    issues,
+    items: [...items.values()],
+  });
+}
+
+// Advisor edits: { laborRate, items: { <item id>: "accepted" | "proposed" | "removed" } }
+function validateEstimateUpdate(raw, estimate) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { valid: false, value: null, errors: ["body must be an object"] };
+  }
+
+  const errors = [];
+  const value = { laborRate: estimate.laborRate, items: {} };
+
+  if (raw.laborRate !== undefined) {
+    const rate = Number(raw.laborRate);
+    if (raw.laborRate === null || raw.laborRate === "" || !isLaborRate(rate)) {
+      errors.push(`laborRate must be a number between 0 and ${MAX_LABOR_RATE} (got ${JSON.stringify(raw.laborRate)})`);
+    } else {
+      value.laborRate = roundMoney(rate);
+    }
+  }
+
+  if (raw.items !== undefined) {
+    if (!raw.items || typeof raw.items !== "object" || Array.isArray(raw.items)) {
+      errors.push("items must map line item ids to a status");
+    } else {
+      const known = new Set(estimate.items.map(item => item.id));
+      Object.entries(raw.items).forEach(([id, status]) => {
+        if (!known.has(id)) errors.push(`Unknown line item "${id}"`);
+        else if (!ITEM_STATUSES.includes(status)) errors.push(`${id} status must be one of ${ITEM_STATUSES.join(", ")}`);
+        else value.items[id] = status;
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, value, errors };
+}
+
+function applyEstimateUpdate(estimate, update) {
+  return priceEstimate({
+    ...estimate,
+    laborRate: update.laborRate,
+    items: estimate.items.map(item => ({ ...item, status: update.items[item.id] || item.status })),
+  });
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  validateCatalog,
+  getCatalog,
+  saveCatalog,
+  estimateRepairs,
+  validateEstimateUpdate,
+  applyEstimateUpdate,
+};
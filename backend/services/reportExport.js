@@ -0,0 +1,533 @@
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { describeVehicle } = require("./vehicle");
+const { normalizeIssue } = require("./diagnosisSchema");
+
+// Diagnostic reports for attaching to a work order: branded PDF and printable
+// HTML for people, JSON and CSV for other systems. REPORT_BRAND_NAME puts the
+// shop's name in the header. The PDF's built-in fonts only cover Latin
+// scripts; REPORT_PDF_FONT points at a TrueType font (e.g. Noto Naskh Arabic)
+// for reports in Urdu. Without one such reports have no PDF, only the others.
+const BRAND_NAME = process.env.REPORT_BRAND_NAME || "Vehicle Diagnostic Analysis";
+const PDF_FONT = process.env.REPORT_PDF_FONT || null;
+const BRAND_COLOR = "#1d4ed8";
+const SEVERITY_COLORS = { high: "#b91c1c", medium: "#a16207", low: "#15803d" };
+const VERDICT_SEVERITY = { do_not_drive: "high", caution: "medium", safe: "low" };
+
+class ReportExportError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = "ReportExportError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const FORMATS = {
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+// Headings follow the report language; the values are whatever the diagnosis
+// was written in
+const LABELS = {
+  en: {
+    title: "Diagnostic Report",
+    reportId: "Report",
+    created: "Created",
+    vehicle: "Vehicle",
+    vin: "VIN",
+    severity: "Severity",
+    problemType: "System",
+    primaryIssue: "Primary Issue",
+    identifiedProblems: "Identified Problems",
+    recommendation: "Recommended Action",
+    troubleCodes: "Trouble Codes",
+    keywords: "Keywords",
+    transcript: "Transcript",
+    estimate: "Repair Estimate",
+    laborRate: "Labor rate {rate} per hour",
+    hours: "h",
+    quotedTotal: "Estimate total",
+    acceptedTotal: "Approved by advisor",
+    accepted: "accepted",
+    degraded: "Keyword-only diagnosis: the AI diagnosis could not be completed. Treat this report as a starting point for inspection.",
+    none: "None",
+    print: "Print",
+    severities: { high: "High", medium: "Medium", low: "Low" },
+    urgencies: { immediate: "fix immediately", soon: "fix soon", routine: "routine" },
+    confidence: "confidence",
+    likelyCauses: "Likely causes",
+    driveSafety: "Drive safety",
+    verdicts: { safe: "Safe to drive", caution: "Drive with caution", do_not_drive: "Do not drive" },
+  },
+  es: {
+    title: "Informe de Diagnóstico",
+    reportId: "Informe",
+    created: "Fecha",
+    vehicle: "Vehículo",
+    vin: "VIN",
+    severity: "Gravedad",
+    problemType: "Sistema",
+    primaryIssue: "Problema Principal",
+    identifiedProblems: "Problemas Identificados",
+    recommendation: "Acción Recomendada",
+    troubleCodes: "Códigos de Falla",
+    keywords: "Palabras clave",
+    transcript: "Transcripción",
+    estimate: "Presupuesto de Reparación",
+    laborRate: "Mano de obra: {rate} por hora",
+    hours: "h",
+    quotedTotal: "Total del presupuesto",
+    acceptedTotal: "Aprobado por el asesor",
+    accepted: "aceptado",
+    degraded: "Diagnóstico solo por palabras clave: no se pudo completar el diagnóstico con IA. Use este informe como punto de partida para la inspección.",
+    none: "Ninguno",
+    print: "Imprimir",
+    severities: { high: "Alta", medium: "Media", low: "Baja" },
+    urgencies: { immediate: "reparar de inmediato", soon: "reparar pronto", routine: "mantenimiento de rutina" },
+    confidence: "de confianza",
+    likelyCauses: "Causas probables",
+    driveSafety: "Seguridad al conducir",
+    verdicts: { safe: "Se puede conducir", caution: "Conducir con precaución", do_not_drive: "No conducir" },
+  },
+  ur: {
+    title: "تشخیصی رپورٹ",
+    reportId: "رپورٹ",
+    created: "تاریخ",
+    vehicle: "گاڑی",
+    vin: "VIN",
+    severity: "شدت",
+    problemType: "سسٹم",
+    primaryIssue: "بنیادی مسئلہ",
+    identifiedProblems: "معلوم شدہ مسائل",
+    recommendation: "تجویز کردہ کارروائی",
+    troubleCodes: "ٹربل کوڈز",
+    keywords: "کلیدی الفاظ",
+    transcript: "ٹرانسکرپٹ",
+    estimate: "مرمت کا تخمینہ",
+    laborRate: "مزدوری {rate} فی گھنٹہ",
+    hours: "گھنٹے",
+    quotedTotal: "کل تخمینہ",
+    acceptedTotal: "منظور شدہ رقم",
+    accepted: "منظور شدہ",
+    degraded: "صرف کلیدی الفاظ پر مبنی تشخیص: AI تشخیص مکمل نہیں ہو سکی۔ اس رپورٹ کو معائنے کا نقطہ آغاز سمجھیں۔",
+    none: "کوئی نہیں",
+    print: "پرنٹ",
+    severities: { high: "زیادہ", medium: "درمیانی", low: "کم" },
+    urgencies: { immediate: "فوری مرمت", soon: "جلد مرمت", routine: "معمول کی دیکھ بھال" },
+    confidence: "یقین",
+    likelyCauses: "ممکنہ وجوہات",
+    driveSafety: "گاڑی چلانے کی حفاظت",
+    verdicts: { safe: "چلانا محفوظ ہے", caution: "احتیاط سے چلائیں", do_not_drive: "گاڑی نہ چلائیں" },
+  },
+};
+
+const RTL_LANGUAGES = ["ur"];
+
+// Removed line items stay in the stored estimate but not on the work order
+function buildEstimate(estimate) {
+  return {
+    currency: estimate.currency,
+    laborRate: estimate.laborRate,
+    catalogVersion: estimate.catalogVersion,
+    items: estimate.items.filter(item => item.status !== "removed").map(item => ({
+      id: item.id,
+      name: item.name,
+      status: item.status,
+      laborHours: item.laborHours,
+      laborCost: item.laborCost,
+      partsCost: item.partsCost,
+      total: item.total,
+    })),
+    totals: estimate.totals,
+  };
+}
+
+// Everything the exports show, taken from a stored diagnosis record
+function buildReport(record) {
+  const analysis = record.analysis;
+  const vehicle = analysis.vehicle || null;
+
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    source: record.source,
+    fileName: record.fileName,
+    brand: BRAND_NAME,
+    language: analysis.languages ? analysis.languages.report : "en",
+    spokenLanguage: analysis.languages ? analysis.languages.detected : analysis.language || null,
+    vehicle: vehicle && {
+      description: describeVehicle(vehicle),
+      vin: vehicle.vin,
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+      mileage: vehicle.mileage,
+      mileageUnit: vehicle.mileageUnit,
+      fuelType: vehicle.fuelType,
+      transmission: vehicle.transmission,
+    },
+    severity: analysis.severity,
+    problemType: analysis.problemType,
+    mainProblem: analysis.mainProblem,
+    specificIssues: (analysis.specificIssues || []).map(normalizeIssue),
+    driveSafety: analysis.driveSafety || null,
+    recommendation: analysis.recommendation,
+    keywords: analysis.keywords || [],
+    troubleCodes: analysis.diagnosticCodes
+      ? analysis.diagnosticCodes.codes.map(code => ({ code: code.code, description: code.description, correlation: code.correlation }))
+      : [],
+    estimate: analysis.estimate ? buildEstimate(analysis.estimate) : null,
+    degraded: !!analysis.degraded,
+    transcript: analysis.transcription || "",
+  };
+}
+
+function labelsFor(report) {
+  return LABELS[report.language] || LABELS.en;
+}
+
+// "Grinding from the front left wheel - High, fix immediately, 90% confidence. Likely causes: ..."
+function describeIssue(issue, labels) {
+  const grade = [
+    issue.severity && (labels.severities[issue.severity] || issue.severity),
+    issue.urgency && (labels.urgencies[issue.urgency] || issue.urgency),
+    issue.confidence !== null && issue.confidence !== undefined && `${Math.round(issue.confidence * 100)}% ${labels.confidence}`,
+  ].filter(Boolean);
+  const causes = issue.likelyCauses && issue.likelyCauses.length ? `. ${labels.likelyCauses}: ${issue.likelyCauses.join(", ")}` : "";
+  return `${issue.description}${grade.length ? ` - ${grade.join(", ")}` : ""}${causes}`;
+}
+
+function describeVerdict(driveSafety, labels) {
+  const verdict = labels.verdicts[driveSafety.verdict] || driveSafety.verdict;
+  return driveSafety.reason ? `${verdict}: ${driveSafety.reason}` : verdict;
+}
+
+// "2026-10-19 09:41 UTC": the same on every export whatever the server's locale
+function formatTimestamp(iso) {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+function formatMoney(amount, estimate, language) {
+  try {
+    return new Intl.NumberFormat(language, { style: "currency", currency: estimate.currency }).format(amount);
+  } catch {
+    return `${estimate.currency} ${amount.toFixed(2)}`;
+  }
+}
+
+// Line items and totals as plain text rows, shared by the HTML and PDF layouts
+function estimateLines(report, labels, language = report.language) {
+  const { estimate } = report;
+  const range = (cost) => `${formatMoney(cost.low, estimate, language)} – ${formatMoney(cost.high, estimate, language)}`;
+
+  return {
+    laborRate: labels.laborRate.replace("{rate}", formatMoney(estimate.laborRate, estimate, language)),
+    items: estimate.items.map(item => ({
+      name: item.status === "accepted" ? `${item.name} (${labels.accepted})` : item.name,
+      hours: `${item.laborHours.low}–${item.laborHours.high} ${labels.hours}`,
+      total: range(item.total),
+    })),
+    quoted: range(estimate.totals.quoted),
+    accepted: estimate.totals.accepted.high > 0 ? range(estimate.totals.accepted) : null,
+  };
+}
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+function renderHtml(report) {
+  const labels = labelsFor(report);
+  const dir = RTL_LANGUAGES.includes(report.language) ? "rtl" : "ltr";
+  const severityColor = SEVERITY_COLORS[report.severity] || "#374151";
+
+  const list = (items) => (items.length
+    ? `<ul>${items.map(item => `<li dir="auto">${escapeHtml(item)}</li>`).join("")}</ul>`
+    : `<p class="muted">${escapeHtml(labels.none)}</p>`);
+
+  const codes = report.troubleCodes.length ? `
+  <h2>${escapeHtml(labels.troubleCodes)}</h2>
+  ${list(report.troubleCodes.map(code => `${code.code}: ${code.description}`))}` : "";
+
+  let estimate = "";
+  if (report.estimate && report.estimate.items.length) {
+    const lines = estimateLines(report, labels);
+    estimate = `
+  <h2>${escapeHtml(labels.estimate)}</h2>
+  <table class="estimate">
+    ${lines.items.map(item => `<tr><td>${escapeHtml(item.name)}</td><td>${escapeHtml(item.hours)}</td><td class="amount">${escapeHtml(item.total)}</td></tr>`).join("")}
+    <tr class="total"><th colspan="2">${escapeHtml(labels.quotedTotal)}</th><td class="amount">${escapeHtml(lines.quoted)}</td></tr>
+    ${lines.accepted ? `<tr class="total"><th colspan="2">${escapeHtml(labels.acceptedTotal)}</th><td class="amount">${escapeHtml(lines.accepted)}</td></tr>` : ""}
+  </table>
+  <p class="muted">${escapeHtml(lines.laborRate)}</p>`;
+  }
+
+  return `<!doctype html>
+<html lang="${escapeHtml(report.language)}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(labels.title)} ${escapeHtml(report.id)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, "Noto Sans", "Noto Naskh Arabic", sans-serif; color: #1f2937; max-width: 800px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+  header { border-bottom: 4px solid ${BRAND_COLOR}; padding-bottom: 12px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: flex-end; }
+  header .brand { color: ${BRAND_COLOR}; font-size: 22px; font-weight: 700; }
+  header .meta { font-size: 12px; color: #6b7280; text-align: end; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  h2 { font-size: 15px; margin: 20px 0 6px; color: ${BRAND_COLOR}; }
+  table { border-collapse: collapse; margin-bottom: 12px; }
+  th { text-align: start; padding: 2px 16px 2px 0; color: #6b7280; font-weight: 500; }
+  .severity { color: ${severityColor}; font-weight: 700; }
+  .verdict { border: 2px solid; border-radius: 4px; padding: 10px 12px; font-size: 16px; }
+  .notice { background: #fff7ed; border: 1px solid #fed7aa; color: #9a3412; padding: 8px 12px; border-radius: 4px; }
+  .muted { color: #6b7280; }
+  .estimate { width: 100%; font-size: 14px; }
+  .estimate td { padding: 4px 16px 4px 0; border-bottom: 1px solid #e5e7eb; }
+  .estimate .amount { text-align: end; white-space: nowrap; padding-inline-end: 0; }
+  .estimate .total th { color: #1f2937; font-weight: 700; padding-top: 6px; }
+  .transcript { background: #f9fafb; border: 1px solid #e5e7eb; padding: 12px; border-radius: 4px; font-size: 13px; white-space: pre-wrap; }
+  .print { float: inline-end; }
+  @media print {
+    .print { display: none; }
+    body { padding: 0; }
+    h2 { break-after: avoid; }
+  }
+</style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">${escapeHtml(labels.print)}</button>
+  <header>
+    <div class="brand">${escapeHtml(report.brand)}</div>
+    <div class="meta">${escapeHtml(labels.reportId)} ${escapeHtml(report.id)}<br>${escapeHtml(labels.created)}: ${escapeHtml(formatTimestamp(report.createdAt))}</div>
+  </header>
+  <h1>${escapeHtml(labels.title)}</h1>
+  ${report.driveSafety ? `<p class="verdict" style="color: ${SEVERITY_COLORS[VERDICT_SEVERITY[report.driveSafety.verdict]]}; border-color: ${SEVERITY_COLORS[VERDICT_SEVERITY[report.driveSafety.verdict]]}" dir="auto"><strong>${escapeHtml(labels.driveSafety)}:</strong> ${escapeHtml(describeVerdict(report.driveSafety, labels))}</p>` : ""}
+  <table>
+    ${report.vehicle ? `<tr><th>${escapeHtml(labels.vehicle)}</th><td>${escapeHtml(report.vehicle.description)}</td></tr>` : ""}
+    ${report.vehicle && report.vehicle.vin ? `<tr><th>${escapeHtml(labels.vin)}</th><td>${escapeHtml(report.vehicle.vin)}</td></tr>` : ""}
+    <tr><th>${escapeHtml(labels.severity)}</th><td class="severity">${escapeHtml(labels.severities[report.severity] || report.severity)}</td></tr>
+    <tr><th>${escapeHtml(labels.problemType)}</th><td>${escapeHtml(report.problemType)}</td></tr>
+  </table>
+  ${report.degraded ? `<p class="notice">${escapeHtml(labels.degraded)}</p>` : ""}
+  <h2>${escapeHtml(labels.primaryIssue)}</h2>
+  <p dir="auto">${escapeHtml(report.mainProblem)}</p>
+  <h2>${escapeHtml(labels.identifiedProblems)}</h2>
+  ${list(report.specificIssues.map(issue => describeIssue(issue, labels)))}
+  <h2>${escapeHtml(labels.recommendation)}</h2>
+  <p dir="auto">${escapeHtml(report.recommendation)}</p>${estimate}${codes}
+  <h2>${escapeHtml(labels.keywords)}</h2>
+  <p dir="auto">${report.keywords.length ? escapeHtml(report.keywords.join(", ")) : `<span class="muted">${escapeHtml(labels.none)}</span>`}</p>
+  <h2>${escapeHtml(labels.transcript)}</h2>
+  <div class="transcript" dir="auto">${escapeHtml(report.transcript)}</div>
+</body>
+</html>
+`;
+}
+
+// Characters the PDF's built-in (WinAnsi) fonts can draw
+const BUILT_IN_FONT_TEXT = /^[\u0000-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]*$/;
+
+function renderPdf(report) {
+  const text = [
+    report.mainProblem, report.recommendation, report.transcript, report.driveSafety && report.driveSafety.reason,
+    ...report.specificIssues.flatMap(issue => [issue.description, ...issue.likelyCauses]), ...report.keywords,
+  ].join(" ");
+  // A PDF of unreadable glyphs is worse than none
+  if (!PDF_FONT && !BUILT_IN_FONT_TEXT.test(text)) {
+    return Promise.reject(new ReportExportError(
+      422,
+      "This report has text the PDF fonts cannot draw. Use the HTML export, or set REPORT_PDF_FONT to a TrueType font that covers it.",
+      "PDF_FONT_MISSING"
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    // English headings when only the report language's headings need another font
+    let labels = labelsFor(report);
+    if (!PDF_FONT && !BUILT_IN_FONT_TEXT.test(Object.values(labels).join(" "))) {
+      labels = LABELS.en;
+    }
+
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: `${labels.title} ${report.id}`, Author: report.brand },
+    });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    let regular = "Helvetica";
+    let bold = "Helvetica-Bold";
+    if (PDF_FONT) {
+      doc.registerFont("report", fs.readFileSync(PDF_FONT));
+      regular = "report";
+      bold = "report";
+    }
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Branded header
+    doc.rect(0, 0, doc.page.width, 8).fill(BRAND_COLOR);
+    doc.fillColor(BRAND_COLOR).font(bold).fontSize(18).text(report.brand, { width });
+    doc.fillColor("#6b7280").font(regular).fontSize(9)
+      .text(`${labels.reportId} ${report.id}  ·  ${labels.created}: ${formatTimestamp(report.createdAt)}`, { width });
+    doc.moveDown(0.5);
+    doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).lineWidth(1).stroke(BRAND_COLOR);
+    doc.moveDown(1);
+
+    doc.fillColor("#111827").font(bold).fontSize(16).text(labels.title, { width });
+    doc.moveDown(0.5);
+
+    const field = (label, value, color = "#1f2937") => {
+      doc.font(bold).fontSize(10).fillColor("#6b7280").text(`${label}: `, { continued: true })
+        .font(regular).fillColor(color).text(String(value));
+    };
+    if (report.vehicle) {
+      field(labels.vehicle, report.vehicle.description);
+      if (report.vehicle.vin) field(labels.vin, report.vehicle.vin);
+    }
+    field(labels.severity, labels.severities[report.severity] || report.severity, SEVERITY_COLORS[report.severity]);
+    field(labels.problemType, report.problemType);
+    if (report.driveSafety) {
+      doc.moveDown(0.3);
+      doc.font(bold).fontSize(12).fillColor(SEVERITY_COLORS[VERDICT_SEVERITY[report.driveSafety.verdict]])
+        .text(`${labels.driveSafety}: ${describeVerdict(report.driveSafety, labels)}`, { width });
+    }
+
+    if (report.degraded) {
+      doc.moveDown(0.5);
+      doc.font(regular).fontSize(9).fillColor("#9a3412").text(labels.degraded, { width });
+    }
+
+    const section = (title) => {
+      doc.moveDown(1);
+      doc.font(bold).fontSize(12).fillColor(BRAND_COLOR).text(title, { width });
+      doc.moveDown(0.3);
+      doc.font(regular).fontSize(10).fillColor("#1f2937");
+    };
+    const list = (items) => {
+      if (items.length) {
+        doc.list(items, { width, bulletRadius: 2 });
+      } else {
+        doc.fillColor("#6b7280").text(labels.none, { width });
+      }
+    };
+
+    section(labels.primaryIssue);
+    doc.text(report.mainProblem, { width });
+
+    section(labels.identifiedProblems);
+    list(report.specificIssues.map(issue => describeIssue(issue, labels)));
+
+    section(labels.recommendation);
+    doc.text(report.recommendation, { width });
+
+    if (report.estimate && report.estimate.items.length) {
+      // Amounts follow the headings so a fallback to English stays drawable
+      const lines = estimateLines(report, labels, labels === LABELS.en ? "en" : report.language);
+      section(labels.estimate);
+      lines.items.forEach(item => {
+        doc.font(regular).fontSize(10).fillColor("#1f2937").text(`${item.name}  ·  ${item.hours}`, { width: width * 0.65 });
+        doc.moveUp().text(item.total, { width, align: "right" });
+      });
+      doc.moveDown(0.3);
+      doc.font(bold).text(labels.quotedTotal, { width: width * 0.65 }).moveUp().text(lines.quoted, { width, align: "right" });
+      if (lines.accepted) {
+        doc.text(labels.acceptedTotal, { width: width * 0.65 }).moveUp().text(lines.accepted, { width, align: "right" });
+      }
+      doc.font(regular).fontSize(9).fillColor("#6b7280").text(lines.laborRate, { width });
+    }
+
+    if (report.troubleCodes.length) {
+      section(labels.troubleCodes);
+      list(report.troubleCodes.map(code => `${code.code}: ${code.description}`));
+    }
+
+    section(labels.keywords);
+    doc.text(report.keywords.length ? report.keywords.join(", ") : labels.none, { width });
+
+    section(labels.transcript);
+    doc.fontSize(9).fillColor("#374151").text(report.transcript, { width });
+
+    doc.end();
+  });
+}
+
+function renderJson(report) {
+  return JSON.stringify({ exportVersion: 1, ...report }, null, 2);
+}
+
+// Quotes every field, and stops a transcript starting with "=" or "-" from
+// being run as a formula when the file is opened in a spreadsheet
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, "\"\"")}"`;
+}
+
+const CSV_COLUMNS = [
+  ["id", report => report.id],
+  ["createdAt", report => report.createdAt],
+  ["vin", report => report.vehicle && report.vehicle.vin],
+  ["make", report => report.vehicle && report.vehicle.make],
+  ["model", report => report.vehicle && report.vehicle.model],
+  ["year", report => report.vehicle && report.vehicle.year],
+  ["mileage", report => report.vehicle && report.vehicle.mileage],
+  ["mileageUnit", report => report.vehicle && report.vehicle.mileageUnit],
+  ["severity", report => report.severity],
+  ["problemType", report => report.problemType],
+  ["mainProblem", report => report.mainProblem],
+  ["specificIssues", report => report.specificIssues.map(issue => issue.description).join("; ")],
+  ["issueSeverities", report => report.specificIssues.map(issue => issue.severity || "").join("; ")],
+  ["driveSafety", report => report.driveSafety && report.driveSafety.verdict],
+  ["recommendation", report => report.recommendation],
+  ["keywords", report => report.keywords.join("; ")],
+  ["troubleCodes", report => report.troubleCodes.map(code => code.code).join("; ")],
+  ["spokenLanguage", report => report.spokenLanguage],
+  ["reportLanguage", report => report.language],
+  ["currency", report => report.estimate && report.estimate.currency],
+  ["estimateLow", report => report.estimate && report.estimate.totals.quoted.low],
+  ["estimateHigh", report => report.estimate && report.estimate.totals.quoted.high],
+  ["acceptedLow", report => report.estimate && report.estimate.totals.accepted.low],
+  ["acceptedHigh", report => report.estimate && report.estimate.totals.accepted.high],
+  ["degraded", report => report.degraded],
+  ["transcript", report => report.transcript],
+];
+
+// One header row and one row per report, so several reports can share a file
+function renderCsv(reports) {
+  const rows = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  reports.forEach(report => {
+    rows.push(CSV_COLUMNS.map(([, read]) => csvField(read(report))).join(","));
+  });
+  // BOM so spreadsheet apps read accented and Urdu text as UTF-8
+  return `\uFEFF${rows.join("\r\n")}\r\n`;
+}
+
+async function renderReport(record, format) {
+  const report = buildReport(record);
+
+  switch (format) {
+    case "pdf": return renderPdf(report);
+    case "html": return renderHtml(report);
+    case "json": return renderJson(report);
+    case "csv": return renderCsv([report]);
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  ReportExportError,
+  buildReport,
+  renderReport,
+};
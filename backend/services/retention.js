@@ -0,0 +1,215 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const uploads = require("./uploads");
+const diagnosisStore = require("./diagnosisStore");
+
+// Background clean-up of everything the app writes, plus the storage quota
+// new uploads are checked against. Upload artifacts (chunks, merged videos,
+// extracted audio) follow uploads.TTL_MS; key frames belong to saved reports
+// and are kept much longer.
+const FRAMES_TTL_MS = (parseFloat(process.env.RETENTION_FRAMES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const INTERVAL_MS = (parseFloat(process.env.RETENTION_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+// 0 turns the quota off
+const QUOTA_BYTES = (process.env.STORAGE_QUOTA_MB === undefined ? 2048 : parseFloat(process.env.STORAGE_QUOTA_MB) || 0) * 1024 * 1024;
+
+// Processing copies of recordings from a remote storage backend
+const DOWNLOAD_DIR_PATTERN = /^media-[0-9a-f-]{36}-/;
+
+const MAX_HISTORY = 20;
+
+const history = [];
+let running = null;
+let timer = null;
+let lastRunAt = 0;
+
+async function directorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return { objects: 0, bytes: 0 };
+  }
+
+  const total = { objects: 0, bytes: 0 };
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const nested = await directorySize(fullPath);
+      total.objects += nested.objects;
+      total.bytes += nested.bytes;
+    } else {
+      total.objects++;
+      total.bytes += (await fs.promises.stat(fullPath).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  return total;
+}
+
+async function listDirectories(dir, filter = () => true) {
+  try {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory() && filter(entry.name)).map(entry => path.join(dir, entry.name));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Removes directories last modified before the cutoff, returning their ids and size
+async function purgeDirectories(dirs, cutoff) {
+  const purged = { objects: 0, bytes: 0, ids: [] };
+
+  for (const dir of dirs) {
+    const stats = await fs.promises.stat(dir).catch(() => null);
+    if (!stats || stats.mtimeMs >= cutoff) continue;
+
+    const size = await directorySize(dir);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    purged.objects += size.objects;
+    purged.bytes += size.bytes;
+    purged.ids.push(path.basename(dir));
+  }
+  return purged;
+}
+
+async function usage() {
+  const totals = await uploads.usage();
+  const frames = await directorySize(diagnosisStore.FRAMES_DIR);
+
+  // Leftover processing copies take disk space like any merged video
+  for (const dir of await listDirectories(os.tmpdir(), name => DOWNLOAD_DIR_PATTERN.test(name))) {
+    const size = await directorySize(dir);
+    totals.media.objects += size.objects;
+    totals.media.bytes += size.bytes;
+  }
+
+  const byType = { ...totals, frames };
+  return {
+    byType,
+    totalBytes: Object.values(byType).reduce((sum, type) => sum + type.bytes, 0),
+  };
+}
+
+async function runPurge(trigger) {
+  const startedAt = new Date();
+  const purged = await uploads.purgeExpired();
+
+  const staleDownloads = await purgeDirectories(
+    await listDirectories(os.tmpdir(), name => DOWNLOAD_DIR_PATTERN.test(name)),
+    startedAt.getTime() - uploads.TTL_MS.media
+  );
+  purged.media.objects += staleDownloads.objects;
+  purged.media.bytes += staleDownloads.bytes;
+
+  const frames = await purgeDirectories(await listDirectories(diagnosisStore.FRAMES_DIR), startedAt.getTime() - FRAMES_TTL_MS);
+  purged.frames = { objects: frames.objects, bytes: frames.bytes };
+  const reportsUpdated = frames.ids.length ? diagnosisStore.detachFrames(frames.ids) : 0;
+
+  const run = {
+    trigger,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    purged,
+    freedBytes: Object.values(purged).reduce((sum, type) => sum + type.bytes, 0),
+    reportsUpdated,
+  };
+
+  history.unshift(run);
+  history.splice(MAX_HISTORY);
+
+  if (run.freedBytes) {
+    console.log(`Retention (${trigger}) freed ${run.freedBytes} bytes`);
+  }
+  return run;
+}
+
+// Runs never overlap: a caller arriving mid-run gets that run's result
+function runNow(trigger = "manual") {
+  if (!running) {
+    lastRunAt = Date.now();
+    running = runPurge(trigger)
+      .catch(error => {
+        console.error("Retention run failed:", error.message);
+        const run = { trigger, startedAt: new Date(lastRunAt).toISOString(), finishedAt: new Date().toISOString(), error: error.message };
+        history.unshift(run);
+        history.splice(MAX_HISTORY);
+        return run;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+// Where no process stays alive between requests (serverless), requests drive
+// the schedule instead of the timer
+function runIfDue() {
+  if (Date.now() - lastRunAt >= INTERVAL_MS) {
+    return runNow("scheduled");
+  }
+  return running || Promise.resolve(null);
+}
+
+function start() {
+  if (timer) return;
+  runNow("startup");
+  timer = setInterval(() => runNow("scheduled"), INTERVAL_MS);
+  timer.unref();
+}
+
+// Throws when storing incomingBytes more would exceed the quota. Expired
+// artifacts are purged first so a full disk of stale uploads never blocks anyone.
+async function checkQuota(incomingBytes = 0) {
+  await runIfDue();
+  if (!QUOTA_BYTES) return;
+
+  let { totalBytes } = await usage();
+
+  if (totalBytes + incomingBytes > QUOTA_BYTES) {
+    await runNow("quota");
+    ({ totalBytes } = await usage());
+  }
+
+  if (totalBytes + incomingBytes > QUOTA_BYTES) {
+    const toMb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+    throw new uploads.UploadError(
+      507,
+      `Storage is full (${toMb(totalBytes)} MB of ${toMb(QUOTA_BYTES)} MB used). Try again later or ask an administrator to free space.`,
+      "STORAGE_QUOTA_EXCEEDED"
+    );
+  }
+}
+
+async function report() {
+  const current = await usage();
+  return {
+    quota: {
+      limitBytes: QUOTA_BYTES || null,
+      usedBytes: current.totalBytes,
+      availableBytes: QUOTA_BYTES ? Math.max(QUOTA_BYTES - current.totalBytes, 0) : null,
+      percentUsed: QUOTA_BYTES ? Math.round((current.totalBytes / QUOTA_BYTES) * 1000) / 10 : null,
+    },
+    usage: current.byType,
+    retention: {
+      chunksMinutes: uploads.TTL_MS.chunks / 60000,
+      mediaMinutes: uploads.TTL_MS.media / 60000,
+      audioMinutes: uploads.TTL_MS.audio / 60000,
+      framesDays: FRAMES_TTL_MS / (24 * 60 * 60 * 1000),
+      intervalMinutes: INTERVAL_MS / 60000,
+    },
+    running: !!running,
+    lastRun: history[0] || null,
+    history,
+  };
+}
+
+module.exports = {
+  QUOTA_BYTES,
+  start,
+  runNow,
+  runIfDue,
+  checkQuota,
+  report,
+};
@@ -0,0 +1,41 @@
+const backends = {
+  local: require("./local"),
+  s3: require("./s3"),
+};
+
+// S3 whenever a bucket is configured, since local disk does not survive
+// across serverless instances
+const backendName = (process.env.STORAGE_BACKEND || (process.env.S3_BUCKET ? "s3" : "local")).toLowerCase();
+const backend = backends[backendName];
+
+if (!backend) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Expected one of: ${Object.keys(backends).join(", ")}`);
+}
+
+if (!backend.isConfigured()) {
+  throw new Error(`Storage backend "${backendName}" is not configured (set S3_BUCKET)`);
+}
+
+async function readJson(key) {
+  const body = await backend.getObject(key);
+  if (!body) return null;
+
+  try {
+    return JSON.parse(body.toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writeJson(key, data) {
+  await backend.putObject(key, JSON.stringify(data, null, 2));
+}
+
+// Every backend stores objects under "/"-separated keys and supports:
+// putObject, putStream, getObject (null when missing), getStream, list(prefix),
+// deleteObject, deletePrefix and downloadToFile (a local path plus cleanup)
+module.exports = {
+  ...backend,
+  readJson,
+  writeJson,
+};
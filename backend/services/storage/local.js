@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Objects are plain files under one directory. Fine for a single long-lived
+// server; serverless instances each have their own disk, so use s3 there.
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || process.env.UPLOADS_DIR || "/tmp/chunks");
+
+function resolveKey(key) {
+  const fullPath = path.resolve(ROOT, key);
+  if (!fullPath.startsWith(ROOT + path.sep)) {
+    throw new Error(`Storage key escapes the storage directory: ${key}`);
+  }
+  return fullPath;
+}
+
+const tempPathFor = (fullPath) => `${fullPath}.${process.pid}.${Date.now()}.tmp`;
+
+// Write to a temp file and rename so readers never see a half-written object
+async function putObject(key, body) {
+  const fullPath = resolveKey(key);
+  const tempPath = tempPathFor(fullPath);
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.promises.writeFile(tempPath, body);
+  await fs.promises.rename(tempPath, fullPath);
+}
+
+async function putStream(key, readable) {
+  const fullPath = resolveKey(key);
+  const tempPath = tempPathFor(fullPath);
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  try {
+    await pipeline(readable, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, fullPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function getObject(key) {
+  try {
+    return await fs.promises.readFile(resolveKey(key));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function getStream(key) {
+  return fs.createReadStream(resolveKey(key));
+}
+
+async function walk(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(fullPath));
+    } else {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Every object whose key starts with prefix, as { key, size, lastModified (ms) }
+async function list(prefix) {
+  const slash = prefix.lastIndexOf("/");
+  const startDir = slash === -1 ? ROOT : resolveKey(prefix.slice(0, slash));
+  const objects = [];
+
+  for (const fullPath of await walk(startDir)) {
+    const key = path.relative(ROOT, fullPath).split(path.sep).join("/");
+    if (!key.startsWith(prefix)) continue;
+
+    try {
+      const stats = await fs.promises.stat(fullPath);
+      objects.push({ key, size: stats.size, lastModified: stats.mtimeMs });
+    } catch (error) {
+      // Removed while listing
+    }
+  }
+  return objects;
+}
+
+async function deleteObject(key) {
+  await fs.promises.rm(resolveKey(key), { force: true });
+}
+
+async function deletePrefix(prefix) {
+  if (prefix.endsWith("/")) {
+    await fs.promises.rm(resolveKey(prefix.slice(0, -1)), { recursive: true, force: true });
+    return;
+  }
+  for (const object of await list(prefix)) {
+    await deleteObject(object.key);
+  }
+}
+
+// The object already is a local file, so there is nothing to copy or clean up
+async function downloadToFile(key) {
+  return { path: resolveKey(key), cleanup: async () => {} };
+}
+
+module.exports = {
+  name: "local",
+  location: ROOT,
+  isConfigured: () => true,
+  putObject,
+  putStream,
+  getObject,
+  getStream,
+  list,
+  deleteObject,
+  deletePrefix,
+  downloadToFile,
+};
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+
+// Any S3-compatible store. S3_ENDPOINT points at MinIO, R2 and the like
+// (http://localhost:9000 for a local MinIO); without credentials the SDK
+// falls back to the usual AWS credential chain.
+const BUCKET = process.env.S3_BUCKET;
+const KEY_PREFIX = process.env.S3_PREFIX ?? "uploads/";
+const ENDPOINT = process.env.S3_ENDPOINT;
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: ENDPOINT,
+      // MinIO only supports path-style addressing
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : !!ENDPOINT,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return client;
+}
+
+const objectKey = (key) => `${KEY_PREFIX}${key}`;
+const isMissing = (error) => error.name === "NoSuchKey" || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+async function putObject(key, body) {
+  await getClient().send(new PutObjectCommand({ Bucket: BUCKET, Key: objectKey(key), Body: body }));
+}
+
+// Multipart upload, so a stream of unknown length never has to be buffered whole
+async function putStream(key, readable) {
+  const upload = new Upload({
+    client: getClient(),
+    params: { Bucket: BUCKET, Key: objectKey(key), Body: readable },
+  });
+  await upload.done();
+}
+
+async function getObject(key) {
+  try {
+    const response = await getClient().send(new GetObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  } catch (error) {
+    if (isMissing(error)) return null;
+    throw error;
+  }
+}
+
+async function getStream(key) {
+  const response = await getClient().send(new GetObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+  return response.Body;
+}
+
+async function list(prefix) {
+  const objects = [];
+  let continuationToken;
+
+  do {
+    const response = await getClient().send(new ListObjectsV2Command({
+      Bucket: BUCKET,
+      Prefix: objectKey(prefix),
+      ContinuationToken: continuationToken,
+    }));
+
+    (response.Contents || []).forEach(object => {
+      objects.push({
+        key: object.Key.slice(KEY_PREFIX.length),
+        size: object.Size,
+        lastModified: object.LastModified ? object.LastModified.getTime() : 0,
+      });
+    });
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+}
+
+async function deleteObject(key) {
+  await getClient().send(new DeleteObjectCommand({ Bucket: BUCKET, Key: objectKey(key) }));
+}
+
+async function deletePrefix(prefix) {
+  const objects = await list(prefix);
+
+  // DeleteObjects takes at most 1000 keys per request
+  for (let i = 0; i < objects.length; i += 1000) {
+    await getClient().send(new DeleteObjectsCommand({
+      Bucket: BUCKET,
+      Delete: { Objects: objects.slice(i, i + 1000).map(object => ({ Key: objectKey(object.key) })), Quiet: true },
+    }));
+  }
+}
+
+// ffmpeg needs a real file, so processing works on a temporary copy
+async function downloadToFile(key) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `media-${crypto.randomUUID()}-`));
+  const filePath = path.join(dir, path.basename(key));
+
+  try {
+    await pipeline(await getStream(key), fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    path: filePath,
+    cleanup: () => fs.promises.rm(dir, { recursive: true, force: true }),
+  };
+}
+
+module.exports = {
+  name: "s3",
+  location: `s3://${BUCKET}/${KEY_PREFIX}${ENDPOINT ? ` (${ENDPOINT})` : ""}`,
+  isConfigured: () => !!BUCKET,
+  putObject,
+  putStream,
+  getObject,
+  getStream,
+  list,
+  deleteObject,
+  deletePrefix,
+  downloadToFile,
+};
@@ -0,0 +1,148 @@
+// Reads the words around a symptom mention to tell a real complaint
+// ("the brakes grind") from a denial ("no brake noise"), a fixed problem
+// ("the oil leak was repaired") or a guess ("maybe the alternator").
+// Other languages add their own cue words to the English ones, since
+// customers often mix in English terms.
+
+// How many words either side of a mention are considered
+const WINDOW = 4;
+
+const NEGATION_CUES = new Set([
+  "no", "not", "never", "without", "none", "nothing", "isn't", "aren't", "wasn't", "weren't",
+  "doesn't", "don't", "didn't", "hasn't", "haven't", "hadn't", "zero",
+]);
+
+const RESOLVED_BEFORE_CUES = new Set([
+  "fixed", "replaced", "repaired", "resolved", "previously", "formerly",
+]);
+
+// A fix stated outright. Bare "new" or "changed" is not one: "a new brake
+// noise" is a fresh complaint, and "the noise changed" is still a noise.
+const REPAIR_BEFORE_PATTERN = /\b(got|put|put in|installed|fitted|had) new\b|\b(put in|installed|fitted) (a|some) new\b|\b(changed|swapped) (out )?(the|my|both|all)\b/;
+
+const RESOLVED_AFTER_CUES = new Set([
+  "anymore", "fixed", "replaced", "repaired", "resolved", "gone", "stopped", "disappeared",
+]);
+
+const HEDGE_CUES = new Set([
+  "maybe", "might", "possibly", "perhaps", "probably", "could", "think", "guess", "suspect",
+  "wondering", "whether", "if", "unsure", "assume",
+]);
+
+const OK_AFTER_CUES = new Set([
+  "fine", "ok", "okay", "good", "normal", "perfect", "great", "alright", "working",
+]);
+
+// Words that end the clause a cue can apply to
+const CLAUSE_BREAKERS = new Set(["but", "however", "although", "though", "except", "yet", "and"]);
+
+const ENGLISH_CUES = {
+  negation: NEGATION_CUES,
+  resolvedBefore: RESOLVED_BEFORE_CUES,
+  resolvedAfter: RESOLVED_AFTER_CUES,
+  hedge: HEDGE_CUES,
+  okAfter: OK_AFTER_CUES,
+  clauseBreakers: CLAUSE_BREAKERS,
+  // Languages that put "not" after the thing denied (Urdu: "brake noise not")
+  negationAfter: false,
+};
+
+// extra: word lists from a language's term file, already normalized
+function buildCues(extra) {
+  if (!extra) return ENGLISH_CUES;
+
+  const merge = (name) => new Set([...ENGLISH_CUES[name], ...(extra[name] || [])]);
+  return {
+    negation: merge("negation"),
+    resolvedBefore: merge("resolvedBefore"),
+    resolvedAfter: merge("resolvedAfter"),
+    hedge: merge("hedge"),
+    okAfter: merge("okAfter"),
+    clauseBreakers: merge("clauseBreakers"),
+    negationAfter: !!extra.negationAfter,
+  };
+}
+
+// Latin and Urdu sentence punctuation
+function endsClause(rawToken) {
+  return /[.!?;:,،۔؟]$/.test(rawToken);
+}
+
+// tokens: normalized words; rawTokens: the same words with punctuation kept
+function classifyContext(tokens, rawTokens, startIndex, endIndex, cues = ENGLISH_CUES) {
+  const before = [];
+  for (let i = startIndex - 1; i >= 0 && before.length < WINDOW; i--) {
+    if (endsClause(rawTokens[i]) || cues.clauseBreakers.has(tokens[i])) break;
+    before.unshift(tokens[i]);
+  }
+
+  const after = [];
+  if (!endsClause(rawTokens[endIndex])) {
+    for (let i = endIndex + 1; i < tokens.length && after.length < WINDOW; i++) {
+      if (cues.clauseBreakers.has(tokens[i])) break;
+      after.push(tokens[i]);
+      if (endsClause(rawTokens[i])) break;
+    }
+  }
+
+  const beforeText = before.join(" ");
+  const afterText = after.join(" ");
+
+  // "the brakes stopped working" is a failure, not a fix
+  if (/\b(stopped|stops|quit|quits) working\b/.test(afterText)) {
+    return { polarity: "present", cue: null };
+  }
+
+  // "used to squeal", "no longer pulls", "squeal went away"
+  if (/\bused to\b|\bno longer\b/.test(beforeText) || /\bwent away\b|\bgot fixed\b|\bbeen fixed\b/.test(afterText)) {
+    return { polarity: "resolved", cue: (beforeText.match(/used to|no longer/) || afterText.match(/went away|got fixed|been fixed/))[0] };
+  }
+
+  const resolvedAfter = after.find(token => cues.resolvedAfter.has(token));
+  if (resolvedAfter) {
+    return { polarity: "resolved", cue: resolvedAfter };
+  }
+
+  const repair = beforeText.match(REPAIR_BEFORE_PATTERN);
+  if (repair) {
+    return { polarity: "resolved", cue: repair[0] };
+  }
+
+  const resolvedBefore = before.find(token => cues.resolvedBefore.has(token));
+  if (resolvedBefore) {
+    return { polarity: "resolved", cue: resolvedBefore };
+  }
+
+  // "tire pressure is fine", unless it is "not fine" or the symptom itself is
+  // negated ("no arranca bien", "won't start well")
+  const mention = tokens.slice(startIndex, endIndex + 1);
+  const okIndex = after.findIndex(token => cues.okAfter.has(token));
+  if (okIndex !== -1 && ![...mention, ...after.slice(0, okIndex)].some(token => cues.negation.has(token)) &&
+    !(cues.negationAfter && cues.negation.has(after[okIndex + 1]))) {
+    return { polarity: "absent", cue: after[okIndex] };
+  }
+
+  // Checked before negation, otherwise the "not" would read as a denial
+  if (/\bnot sure\b/.test(beforeText)) {
+    return { polarity: "uncertain", cue: "not sure" };
+  }
+
+  const negation = before.find(token => cues.negation.has(token))
+    || (cues.negationAfter ? after.find(token => cues.negation.has(token)) : undefined);
+  if (negation) {
+    return { polarity: "absent", cue: negation };
+  }
+
+  const hedge = before.find(token => cues.hedge.has(token))
+    || after.find(token => token === "maybe" || token === "possibly");
+  if (hedge) {
+    return { polarity: "uncertain", cue: hedge };
+  }
+
+  return { polarity: "present", cue: null };
+}
+
+module.exports = {
+  buildCues,
+  classifyContext,
+};
@@ -0,0 +1,72 @@
+// Helpers for finding when something was said, given the word-level
+// timings ({ text, start, end } in milliseconds) every transcription provider returns
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "to", "in", "on", "at", "for", "with", "from", "is", "are",
+  "was", "were", "be", "it", "its", "this", "that", "when", "while", "my", "i", "there", "some",
+  "possible", "possibly", "likely", "issue", "problem",
+]);
+
+// Letters of any script are kept and accents dropped, so "está" matches
+// "esta" and Urdu words survive alongside English ones
+function normalizeToken(token) {
+  return token.toLowerCase().replace(/’/g, "'").normalize("NFD").replace(/[^\p{L}\p{N}']/gu, "");
+}
+
+function tokenize(text) {
+  return text.split(/\s+/).map(normalizeToken).filter(Boolean);
+}
+
+// Every place the phrase is spoken as consecutive words
+function findPhraseOccurrences(words, phrase) {
+  const phraseTokens = tokenize(phrase);
+  const tokens = words.map(word => normalizeToken(word.text));
+  const occurrences = [];
+
+  if (!phraseTokens.length) return occurrences;
+
+  for (let i = 0; i <= tokens.length - phraseTokens.length; i++) {
+    if (phraseTokens.every((token, offset) => tokens[i + offset] === token)) {
+      occurrences.push({
+        start: words[i].start,
+        end: words[i + phraseTokens.length - 1].end,
+        wordIndex: i,
+        wordCount: phraseTokens.length,
+      });
+    }
+  }
+
+  return occurrences;
+}
+
+// Best guess at where a paraphrase (e.g. an AI-written issue) was spoken: the
+// window of transcript words sharing the most meaningful terms with it
+function locateText(words, text, windowSize = 12) {
+  const targetTokens = new Set(tokenize(text).filter(token => !STOPWORDS.has(token)));
+  if (!targetTokens.size || !words.length) return null;
+
+  const tokens = words.map(word => normalizeToken(word.text));
+  let best = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!targetTokens.has(tokens[i])) continue;
+
+    const window = new Set(tokens.slice(i, i + windowSize).filter(token => targetTokens.has(token)));
+    const score = window.size / targetTokens.size;
+
+    if (!best || score > best.score) {
+      best = { start: words[i].start, end: words[Math.min(i + windowSize, words.length) - 1].end, wordIndex: i, score };
+    }
+  }
+
+  // A single shared word out of many is more likely coincidence than a match
+  if (!best || (best.score < 0.5 && targetTokens.size > 2)) return null;
+  return best;
+}
+
+module.exports = {
+  normalizeToken,
+  tokenize,
+  findPhraseOccurrences,
+  locateText,
+};
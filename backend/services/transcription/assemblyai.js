@@ -0,0 +1,44 @@
+const { AssemblyAI } = require("assemblyai");
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new AssemblyAI({
+      apiKey: process.env.ASSEMBLYAI_API_KEY,
+    });
+  }
+  return client;
+}
+
+async function transcribe(audioPath, { language }) {
+  const assemblyClient = getClient();
+  const audioUrl = await assemblyClient.files.upload(audioPath);
+  // Without either option AssemblyAI assumes English
+  const transcript = await assemblyClient.transcripts.transcribe({
+    audio: audioUrl,
+    ...(language === "auto" ? { language_detection: true } : { language_code: language }),
+  });
+
+  if (transcript.status === "error") {
+    throw new Error(transcript.error || "Transcription failed");
+  }
+
+  return {
+    text: transcript.text || "",
+    language: transcript.language_code || null,
+    confidence: transcript.confidence ?? null,
+    words: (transcript.words || []).map(word => ({
+      text: word.text,
+      start: word.start,
+      end: word.end,
+      confidence: word.confidence ?? null,
+    })),
+  };
+}
+
+module.exports = {
+  name: "assemblyai",
+  isConfigured: () => !!process.env.ASSEMBLYAI_API_KEY,
+  transcribe,
+};
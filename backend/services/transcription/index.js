@@ -0,0 +1,32 @@
+const providers = {
+  assemblyai: require("./assemblyai"),
+  local: require("./local"),
+  fixture: require("./fixture"),
+};
+
+const providerName = (process.env.TRANSCRIPTION_PROVIDER || "assemblyai").toLowerCase();
+const provider = providers[providerName];
+
+if (!provider) {
+  throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${providerName}". Expected one of: ${Object.keys(providers).join(", ")}`);
+}
+
+// Every provider resolves to { text, language, confidence, words: [{ text, start, end, confidence }] }
+// with word times in milliseconds. options.language is a language code or
+// "auto" to let the provider detect it.
+async function transcribe(audioPath, options = {}) {
+  const result = await provider.transcribe(audioPath, { language: options.language || "auto" });
+  return {
+    text: result.text || "",
+    language: result.language || null,
+    confidence: result.confidence ?? null,
+    words: result.words || [],
+    provider: provider.name,
+  };
+}
+
+module.exports = {
+  providerName: provider.name,
+  isConfigured: provider.isConfigured,
+  transcribe,
+};
@@ -0,0 +1,80 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { convertToWav } = require("../audio");
+
+// whisper.cpp CLI and a ggml model on disk, e.g. ggml-base.bin. English-only
+// models (*.en.bin) cannot transcribe or detect other languages.
+const WHISPER_BIN = process.env.WHISPER_CPP_BIN;
+const WHISPER_MODEL = process.env.WHISPER_MODEL_PATH;
+const WHISPER_LANGUAGE = process.env.WHISPER_LANGUAGE || "auto";
+const WHISPER_THREADS = process.env.WHISPER_THREADS || "4";
+
+function runWhisper(wavPath, outputPrefix, language) {
+  const args = [
+    "-m", WHISPER_MODEL,
+    "-f", wavPath,
+    "-l", language,
+    "-t", WHISPER_THREADS,
+    "-ml", "1",
+    "-sow",
+    "-oj",
+    "-of", outputPrefix,
+    "-np",
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(WHISPER_BIN, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        return reject(new Error(`whisper.cpp failed: ${stderr || error.message}`));
+      }
+      // A clean exit does not guarantee the file was written in full
+      try {
+        resolve(JSON.parse(fs.readFileSync(`${outputPrefix}.json`, "utf8")));
+      } catch (readError) {
+        reject(new Error(`whisper.cpp produced no readable JSON output: ${readError.message}`));
+      }
+    });
+  });
+}
+
+async function transcribe(audioPath, { language }) {
+  if (!WHISPER_BIN || !WHISPER_MODEL) {
+    throw new Error("Local transcription requires WHISPER_CPP_BIN and WHISPER_MODEL_PATH");
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "whisper-"));
+
+  try {
+    // whisper.cpp only reads 16 kHz mono 16-bit WAV
+    const wavPath = await convertToWav(audioPath, path.join(workDir, "audio.wav"));
+    // A language picked by the user wins over the configured default
+    const output = await runWhisper(wavPath, path.join(workDir, "transcript"), language !== "auto" ? language : WHISPER_LANGUAGE);
+
+    // With -ml 1 -sow every segment is a single word
+    const words = (output.transcription || [])
+      .map(segment => ({
+        text: segment.text.trim(),
+        start: segment.offsets.from,
+        end: segment.offsets.to,
+        confidence: null,
+      }))
+      .filter(word => word.text);
+
+    return {
+      text: words.map(word => word.text).join(" "),
+      language: output.result?.language || null,
+      confidence: null,
+      words,
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  name: "local",
+  isConfigured: () => !!WHISPER_BIN && !!WHISPER_MODEL && fs.existsSync(WHISPER_BIN) && fs.existsSync(WHISPER_MODEL),
+  transcribe,
+};
@@ -0,0 +1,423 @@
+const crypto = require("crypto");
+const path = require("path");
+const { Readable } = require("stream");
+const storage = require("./storage");
+
+// Registry of chunked uploads and the merged recordings they produce. Clients
+// only ever see server-generated ids plus a secret upload token; every
+// storage key is built here from those ids, never from client input. All
+// state lives in the storage backend, so any instance can serve any request.
+const SESSIONS_PREFIX = "sessions/";
+const MEDIA_PREFIX = "media/";
+
+function minutesFromEnv(name, fallback) {
+  const minutes = parseFloat(process.env[name]);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : fallback) * 60 * 1000;
+}
+
+// How long each kind of upload artifact is kept: chunks of an upload that has
+// gone idle, merged recordings nobody has processed, and audio extracted by a
+// job that crashed before cleaning up after itself
+const TTL_MS = {
+  chunks: minutesFromEnv("RETENTION_CHUNKS_MINUTES", parseFloat(process.env.UPLOAD_TTL_MINUTES) || 60),
+  media: minutesFromEnv("RETENTION_MEDIA_MINUTES", parseFloat(process.env.UPLOAD_TTL_MINUTES) || 60),
+  audio: minutesFromEnv("RETENTION_AUDIO_MINUTES", 30),
+};
+
+// How long a claim by an analysis job holds a recording. Longer than any job
+// takes (transcription and the AI call each time out well before this), so an
+// older claim was left by a process that died mid-job.
+const PROCESSING_LEASE_MS = minutesFromEnv("PROCESSING_LEASE_MINUTES", 30);
+
+const MAX_CHUNKS = 1000;
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.MAX_UPLOAD_MB) || 500) * 1024 * 1024;
+
+// Live recordings plus the video and audio files customers already have.
+// ffmpeg reads the content, so this only keeps out files that are clearly not media.
+const ACCEPTED_EXTENSIONS = [".webm", ".mp4", ".mov", ".m4a", ".mp3", ".wav"];
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const CHUNK_KEY_PATTERN = /\/chunk_(\d+)$/;
+
+class UploadError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// Keeps the extension (ffmpeg and browsers like one) but nothing path-like
+function sanitizeFileName(fileName) {
+  const base = path.basename(String(fileName || "")).replace(/[^A-Za-z0-9._-]/g, "_").replace(/^\.+/, "");
+  return base.slice(-100) || "recording.webm";
+}
+
+const sessionPrefix = (uploadId) => `${SESSIONS_PREFIX}${uploadId}/`;
+const sessionKey = (uploadId) => `${sessionPrefix(uploadId)}session.json`;
+const chunkKey = (uploadId, index) => `${sessionPrefix(uploadId)}chunk_${index}`;
+const mediaKey = (mediaId) => `${MEDIA_PREFIX}${mediaId}.json`;
+
+function tokenMatches(entry, token) {
+  if (typeof token !== "string" || !token) return false;
+  const expected = Buffer.from(entry.tokenHash, "hex");
+  const actual = Buffer.from(sha256(token), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const isExpired = (entry) => Date.parse(entry.expiresAt) < Date.now();
+const isProcessing = (entry) => entry.status === "processing"
+  && Date.parse(entry.processingStartedAt) > Date.now() - PROCESSING_LEASE_MS;
+const nextExpiry = (ttlMs) => new Date(Date.now() + ttlMs).toISOString();
+
+// Audio extraction writes its output next to the recording it reads
+function artifactType(key) {
+  if (key.startsWith(SESSIONS_PREFIX)) return "chunks";
+  return /^media\/(audio|enhanced)_/.test(key) ? "audio" : "media";
+}
+
+const removeSession = (uploadId) => storage.deletePrefix(sessionPrefix(uploadId));
+
+async function removeMedia(entry) {
+  await storage.deleteObject(`${MEDIA_PREFIX}${entry.storedName}`);
+  await storage.deleteObject(mediaKey(entry.mediaId));
+}
+
+// Someone else's upload looks exactly like a missing one
+function authorize(entry, token, label) {
+  if (!entry || !tokenMatches(entry, token)) {
+    throw new UploadError(404, `${label} not found`, "NOT_FOUND");
+  }
+  return entry;
+}
+
+// Every limit is enforced against this size: the quota when the upload
+// starts, each chunk as it arrives, and the merged file
+function declaredSize(fileSize) {
+  const size = Number(fileSize);
+  if (!Number.isInteger(size) || size < 1) {
+    throw new UploadError(400, "fileSize must be the file's size in bytes", "INVALID_UPLOAD");
+  }
+  if (size > MAX_UPLOAD_BYTES) {
+    throw new UploadError(413, `File is too large. The limit is ${MAX_UPLOAD_BYTES / 1024 / 1024}MB.`, "FILE_TOO_LARGE");
+  }
+  return size;
+}
+
+// fileHash is the SHA-256 of the whole file. Browsers cannot hash a file
+// incrementally, so they send chunkListHash instead: the SHA-256 of the
+// chunks' hex SHA-256 hashes joined in order. Both are optional.
+async function createSession({ fileName, fileType, fileSize, fileHash, chunkListHash, totalChunks }) {
+  const size = declaredSize(fileSize);
+  const total = parseInt(totalChunks, 10);
+  if (!Number.isInteger(total) || total < 1 || total > MAX_CHUNKS) {
+    throw new UploadError(400, `totalChunks must be between 1 and ${MAX_CHUNKS}`, "INVALID_UPLOAD");
+  }
+
+  const safeName = sanitizeFileName(fileName);
+  if (!ACCEPTED_EXTENSIONS.includes(path.extname(safeName).toLowerCase())) {
+    throw new UploadError(415, `Unsupported file type. Accepted formats: ${ACCEPTED_EXTENSIONS.join(", ")}`, "UNSUPPORTED_MEDIA_TYPE");
+  }
+
+  const uploadId = crypto.randomUUID();
+  const uploadToken = crypto.randomBytes(32).toString("hex");
+  const session = {
+    uploadId,
+    tokenHash: sha256(uploadToken),
+    fileName: safeName,
+    fileType: typeof fileType === "string" ? fileType.slice(0, 100) : null,
+    fileSize: size,
+    fileHash: typeof fileHash === "string" ? fileHash.toLowerCase() : null,
+    chunkListHash: typeof chunkListHash === "string" && HASH_PATTERN.test(chunkListHash.toLowerCase()) ? chunkListHash.toLowerCase() : null,
+    totalChunks: total,
+    createdAt: new Date().toISOString(),
+    expiresAt: nextExpiry(TTL_MS.chunks),
+  };
+
+  await storage.writeJson(sessionKey(uploadId), session);
+
+  return { uploadId, uploadToken, totalChunks: total, expiresAt: session.expiresAt };
+}
+
+async function getSession(uploadId, token) {
+  if (!ID_PATTERN.test(String(uploadId))) {
+    throw new UploadError(404, "Upload not found", "NOT_FOUND");
+  }
+
+  const session = authorize(await storage.readJson(sessionKey(uploadId)), token, "Upload");
+  if (isExpired(session)) {
+    await removeSession(uploadId);
+    throw new UploadError(410, "Upload has expired", "EXPIRED");
+  }
+  return session;
+}
+
+// Stored chunks as { index, size }, in order
+async function storedChunks(session) {
+  const objects = await storage.list(`${sessionPrefix(session.uploadId)}chunk_`);
+  return objects
+    .map(object => ({ match: CHUNK_KEY_PATTERN.exec(object.key), size: object.size }))
+    .filter(chunk => chunk.match)
+    .map(chunk => ({ index: parseInt(chunk.match[1], 10), size: chunk.size }))
+    .filter(chunk => chunk.index < session.totalChunks)
+    .sort((a, b) => a.index - b.index);
+}
+
+async function receivedChunks(session) {
+  return (await storedChunks(session)).map(chunk => chunk.index);
+}
+
+// Bytes actually stored for an upload, whatever size it declared
+async function receivedBytes(session) {
+  return (await storedChunks(session)).reduce((sum, chunk) => sum + chunk.size, 0);
+}
+
+async function saveChunk(session, chunkIndex, buffer, chunkHash) {
+  const index = parseInt(chunkIndex, 10);
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw new UploadError(400, `chunkIndex must be between 0 and ${session.totalChunks - 1}`, "INVALID_CHUNK");
+  }
+
+  // The client retries on a mismatch, so a chunk corrupted in transit is never stored
+  if (chunkHash && sha256(buffer) !== String(chunkHash).toLowerCase()) {
+    throw new UploadError(422, "Chunk checksum mismatch", "CHUNK_CHECKSUM_MISMATCH");
+  }
+
+  // A retried chunk replaces the stored one, so its old size does not count
+  const otherBytes = (await storedChunks(session))
+    .filter(chunk => chunk.index !== index)
+    .reduce((sum, chunk) => sum + chunk.size, 0);
+  if (otherBytes + buffer.length > session.fileSize) {
+    throw new UploadError(413, `Upload is larger than the declared ${session.fileSize} bytes`, "FILE_TOO_LARGE");
+  }
+
+  await storage.putObject(chunkKey(session.uploadId, index), buffer);
+
+  // Uploads only expire once they go quiet
+  session.expiresAt = nextExpiry(TTL_MS.chunks);
+  await storage.writeJson(sessionKey(session.uploadId), session);
+
+  return index;
+}
+
+function publicMedia(entry) {
+  return {
+    mediaId: entry.mediaId,
+    fileName: entry.fileName,
+    fileType: entry.fileType,
+    fileSize: entry.fileSize,
+    fileHash: entry.fileHash,
+    expiresAt: entry.expiresAt,
+  };
+}
+
+// Joins the chunks into a registered recording and verifies it against the
+// size and hash the client declared. The session is discarded either way.
+// Chunks are streamed one after another, so memory use stays at about one
+// buffer no matter how large the recording is.
+async function mergeSession(session) {
+  const received = new Set(await receivedChunks(session));
+  for (let i = 0; i < session.totalChunks; i++) {
+    if (!received.has(i)) {
+      throw new UploadError(400, `Missing chunk ${i}`, "MISSING_CHUNKS");
+    }
+  }
+
+  const mediaId = crypto.randomUUID();
+  const storedName = `${mediaId}${path.extname(session.fileName).toLowerCase()}`;
+  const storedKey = `${MEDIA_PREFIX}${storedName}`;
+
+  // Hash while merging so the whole file is only read once
+  const hash = crypto.createHash("sha256");
+  const chunkHashes = [];
+  let fileSize = 0;
+
+  async function* mergedChunks() {
+    for (let i = 0; i < session.totalChunks; i++) {
+      const chunkHash = crypto.createHash("sha256");
+      for await (const data of await storage.getStream(chunkKey(session.uploadId, i))) {
+        hash.update(data);
+        chunkHash.update(data);
+        fileSize += data.length;
+        yield data;
+      }
+      chunkHashes.push(chunkHash.digest("hex"));
+    }
+  }
+
+  await storage.putStream(storedKey, Readable.from(mergedChunks(), { objectMode: false }));
+
+  const fileHash = hash.digest("hex");
+  await removeSession(session.uploadId);
+
+  // Drop everything on a mismatch so a retry starts the upload from scratch
+  const chunkListMismatch = session.chunkListHash && sha256(chunkHashes.join("")) !== session.chunkListHash;
+  if ((session.fileHash && fileHash !== session.fileHash) || chunkListMismatch || fileSize !== session.fileSize) {
+    await storage.deleteObject(storedKey);
+    throw new UploadError(422, "File checksum mismatch", "FILE_CHECKSUM_MISMATCH");
+  }
+
+  const entry = {
+    mediaId,
+    tokenHash: session.tokenHash,
+    storedName,
+    fileName: session.fileName,
+    fileType: session.fileType,
+    fileSize,
+    fileHash,
+    status: "ready",
+    createdAt: new Date().toISOString(),
+    expiresAt: nextExpiry(TTL_MS.media),
+  };
+  await storage.writeJson(mediaKey(mediaId), entry);
+
+  return publicMedia(entry);
+}
+
+async function cancelSession(uploadId, token) {
+  const session = await getSession(uploadId, token);
+  await removeSession(session.uploadId);
+}
+
+// Hands a recording to exactly one analysis job. The caller must
+// releaseMedia() when done. Object stores have no locks, so two claims racing
+// on different instances could both win; the token keeps that to one owner.
+async function claimMedia(mediaId, token) {
+  if (!ID_PATTERN.test(String(mediaId))) {
+    throw new UploadError(404, "Media not found", "NOT_FOUND");
+  }
+
+  const entry = authorize(await storage.readJson(mediaKey(mediaId)), token, "Media");
+  if (isProcessing(entry)) {
+    throw new UploadError(409, "Media is already being processed", "ALREADY_PROCESSING");
+  }
+  if (isExpired(entry)) {
+    await removeMedia(entry);
+    throw new UploadError(410, "Media has expired", "EXPIRED");
+  }
+
+  entry.status = "processing";
+  entry.processingStartedAt = new Date().toISOString();
+  await storage.writeJson(mediaKey(mediaId), entry);
+
+  return { ...publicMedia(entry), key: `${MEDIA_PREFIX}${entry.storedName}` };
+}
+
+// A local file of a claimed recording for ffmpeg, as { path, cleanup }
+function downloadMedia(media) {
+  return storage.downloadToFile(media.key);
+}
+
+async function releaseMedia(mediaId) {
+  const entry = await storage.readJson(mediaKey(mediaId));
+  if (entry) {
+    await removeMedia(entry);
+  }
+}
+
+// Jobs live in memory, so none survive a restart and every claim still held
+// belongs to a job that is gone. Returns how many recordings were released.
+async function releaseClaims() {
+  let released = 0;
+  const objects = await storage.list(MEDIA_PREFIX);
+  for (const object of objects.filter(item => item.key.endsWith(".json"))) {
+    const entry = await storage.readJson(object.key);
+    if (!entry || entry.status !== "processing") continue;
+
+    entry.status = "ready";
+    entry.processingStartedAt = null;
+    await storage.writeJson(object.key, entry);
+    released++;
+  }
+  return released;
+}
+
+const emptyTotals = () => ({
+  chunks: { objects: 0, bytes: 0 },
+  media: { objects: 0, bytes: 0 },
+  audio: { objects: 0, bytes: 0 },
+});
+
+// Objects and bytes currently held, per artifact type
+async function usage() {
+  const totals = emptyTotals();
+  const objects = [...await storage.list(SESSIONS_PREFIX), ...await storage.list(MEDIA_PREFIX)];
+
+  objects.forEach(object => {
+    const type = artifactType(object.key);
+    totals[type].objects++;
+    totals[type].bytes += object.size;
+  });
+  return totals;
+}
+
+// Removes expired sessions, recordings nobody is processing (a claim past its
+// lease does not count) and orphaned objects. Returns what was removed, per artifact type.
+async function purgeExpired() {
+  const purged = emptyTotals();
+  const now = Date.now();
+  const count = (type, objects) => {
+    purged[type].objects += objects.length;
+    purged[type].bytes += objects.reduce((sum, object) => sum + object.size, 0);
+  };
+
+  const sessionObjects = await storage.list(SESSIONS_PREFIX);
+  const sessionIds = new Set(sessionObjects.map(object => object.key.split("/")[1]));
+  for (const uploadId of sessionIds) {
+    const session = await storage.readJson(sessionKey(uploadId));
+    if (!session || isExpired(session)) {
+      await removeSession(uploadId);
+      count("chunks", sessionObjects.filter(object => object.key.startsWith(sessionPrefix(uploadId))));
+    }
+  }
+
+  const mediaObjects = await storage.list(MEDIA_PREFIX);
+  const keep = new Set();
+  for (const object of mediaObjects.filter(item => item.key.endsWith(".json"))) {
+    const entry = await storage.readJson(object.key);
+    if (!entry) continue;
+
+    const keys = [object.key, `${MEDIA_PREFIX}${entry.storedName}`];
+    keys.forEach(key => keep.add(key));
+    if (!isProcessing(entry) && isExpired(entry)) {
+      await removeMedia(entry);
+      count("media", mediaObjects.filter(item => keys.includes(item.key)));
+    }
+  }
+
+  // Anything else: failed merges, unreadable entries, audio left by a crash
+  for (const object of mediaObjects) {
+    const type = artifactType(object.key);
+    if (!keep.has(object.key) && object.lastModified < now - TTL_MS[type]) {
+      await storage.deleteObject(object.key);
+      count(type, [object]);
+    }
+  }
+
+  return purged;
+}
+
+module.exports = {
+  TTL_MS,
+  ACCEPTED_EXTENSIONS,
+  UploadError,
+  sanitizeFileName,
+  declaredSize,
+  createSession,
+  getSession,
+  receivedChunks,
+  receivedBytes,
+  saveChunk,
+  mergeSession,
+  cancelSession,
+  claimMedia,
+  downloadMedia,
+  releaseMedia,
+  releaseClaims,
+  usage,
+  purgeExpired,
+};
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+
+// Vehicle details sent with a recording, and an offline VIN decoder: check
+// digit, manufacturer from the WMI (first three characters) and model year
+// from the tenth character. WMI_FILE points at a fuller manufacturer list.
+const WMI_FILE = process.env.WMI_FILE || path.join(__dirname, "..", "data", "wmiManufacturers.json");
+const wmi = JSON.parse(fs.readFileSync(WMI_FILE, "utf8"));
+
+const FUEL_TYPES = ["gasoline", "diesel", "hybrid", "plug_in_hybrid", "electric", "lpg", "cng", "other"];
+const TRANSMISSIONS = ["manual", "automatic", "cvt", "dual_clutch", "other"];
+const MILEAGE_UNITS = ["mi", "km"];
+
+const FIELD_ALIASES = {
+  fuelType: {
+    petrol: "gasoline", gas: "gasoline", "plug-in hybrid": "plug_in_hybrid", phev: "plug_in_hybrid",
+    ev: "electric", bev: "electric", autogas: "lpg",
+  },
+  transmission: {
+    auto: "automatic", stick: "manual", "manual gearbox": "manual", dct: "dual_clutch", dsg: "dual_clutch",
+    "dual-clutch": "dual_clutch",
+  },
+  mileageUnit: { miles: "mi", kilometers: "km", kilometres: "km" },
+};
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+const CHECK_DIGIT_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+
+// Tenth-character year codes repeat every 30 years starting from 1980
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+const normalizeVin = (vin) => String(vin || "").toUpperCase().replace(/[\s-]/g, "");
+
+function checkDigit(vin) {
+  const sum = [...vin].reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * CHECK_DIGIT_WEIGHTS[index];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+}
+
+function regionOf(vin) {
+  const first = vin[0];
+  const range = Object.keys(wmi.regions).find(key => {
+    const [from, to] = key.split("-");
+    return first >= from && first <= to;
+  });
+  return range ? wmi.regions[range] : null;
+}
+
+// North American VINs say which 30-year cycle applies: a letter in position 7
+// means 2010 or later. Elsewhere the most recent year not in the future wins.
+function modelYearOf(vin, northAmerican) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return { modelYear: null, candidates: [] };
+
+  const latest = new Date().getFullYear() + 1;
+  const candidates = [1980, 2010, 2040].map(start => start + index).filter(year => year <= latest);
+
+  if (northAmerican) {
+    const modelYear = /[A-Z]/.test(vin[6]) ? candidates.find(year => year >= 2010) : candidates.find(year => year < 2010);
+    return { modelYear: modelYear || null, candidates };
+  }
+  return { modelYear: candidates[candidates.length - 1] || null, candidates };
+}
+
+// Always resolves to a result: valid is false with errors when the VIN is
+// malformed or its check digit is wrong where the check digit is mandatory.
+function decodeVin(input) {
+  const vin = normalizeVin(input);
+  const errors = [];
+  const warnings = [];
+
+  if (vin.length !== 17) {
+    errors.push(`VIN must be 17 characters (got ${vin.length})`);
+  } else if (/[IOQ]/.test(vin)) {
+    errors.push("VIN cannot contain the letters I, O or Q");
+  } else if (!VIN_PATTERN.test(vin)) {
+    errors.push("VIN can only contain letters and digits");
+  }
+
+  if (errors.length) {
+    return { vin, valid: false, errors, warnings };
+  }
+
+  const region = regionOf(vin);
+  const northAmerican = region === "North America";
+  const expected = checkDigit(vin);
+  const checkDigitValid = vin[8] === expected;
+
+  if (!checkDigitValid) {
+    // Only North American VINs are required to carry a check digit
+    if (northAmerican) {
+      errors.push(`VIN check digit is ${vin[8]} but should be ${expected}; check for a typo`);
+    } else {
+      warnings.push("VIN check digit does not match; it is optional outside North America");
+    }
+  }
+
+  const code = vin.slice(0, 3);
+  const manufacturer = wmi.manufacturers[code] || null;
+  if (!manufacturer) {
+    warnings.push(`Manufacturer code ${code} is not in the offline list`);
+  }
+
+  const { modelYear, candidates } = modelYearOf(vin, northAmerican);
+  if (!modelYear) {
+    warnings.push(`Model year character ${vin[9]} is not a valid year code`);
+  }
+
+  return {
+    vin,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    wmi: code,
+    manufacturer,
+    region,
+    modelYear,
+    modelYearCandidates: candidates,
+    checkDigit: { value: vin[8], expected, valid: checkDigitValid },
+    descriptor: vin.slice(3, 8),
+    serialNumber: vin.slice(11),
+  };
+}
+
+function cleanText(value, maxLength) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function cleanEnum(field, value, allowed, errors) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const normalized = String(value).trim().toLowerCase();
+  const match = allowed.includes(normalized) ? normalized : FIELD_ALIASES[field][normalized];
+  if (!match) {
+    errors.push(`${field} must be one of ${allowed.join(", ")} (got ${JSON.stringify(value)})`);
+    return null;
+  }
+  return match;
+}
+
+function cleanNumber(field, value, min, max, errors) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const number = Number(String(value).replace(/[,\s]/g, ""));
+  if (!Number.isFinite(number) || number < min || number > max) {
+    errors.push(`${field} must be a number from ${min} to ${max} (got ${JSON.stringify(value)})`);
+    return null;
+  }
+  return number;
+}
+
+// Returns { valid, value, errors, warnings }. value is null when no details
+// were given; missing make and year are filled in from a decodable VIN.
+function validateVehicle(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return { valid: true, value: null, errors: [], warnings: [] };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { valid: false, value: null, errors: ["vehicle must be an object"], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const latestYear = new Date().getFullYear() + 1;
+
+  const value = {
+    vin: raw.vin ? normalizeVin(raw.vin) : null,
+    make: cleanText(raw.make, 50),
+    model: cleanText(raw.model, 50),
+    year: cleanNumber("year", raw.year, 1900, latestYear, errors),
+    mileage: cleanNumber("mileage", raw.mileage, 0, 3000000, errors),
+    mileageUnit: cleanEnum("mileageUnit", raw.mileageUnit, MILEAGE_UNITS, errors) || "mi",
+    fuelType: cleanEnum("fuelType", raw.fuelType, FUEL_TYPES, errors),
+    transmission: cleanEnum("transmission", raw.transmission, TRANSMISSIONS, errors),
+    decodedVin: null,
+  };
+
+  if (value.year !== null && !Number.isInteger(value.year)) {
+    errors.push(`year must be a whole number (got ${JSON.stringify(raw.year)})`);
+  }
+
+  if (value.vin) {
+    const decoded = decodeVin(value.vin);
+    errors.push(...decoded.errors);
+    warnings.push(...decoded.warnings);
+
+    if (decoded.valid) {
+      value.decodedVin = decoded;
+      value.make = value.make || decoded.manufacturer;
+      value.year = value.year || decoded.modelYear;
+
+      if (raw.year && decoded.modelYear && !decoded.modelYearCandidates.includes(value.year)) {
+        warnings.push(`Year ${value.year} does not match the VIN's model year ${decoded.modelYear}`);
+      }
+      if (raw.make && decoded.manufacturer && !decoded.manufacturer.toLowerCase().includes(value.make.toLowerCase()) &&
+        !value.make.toLowerCase().includes(decoded.manufacturer.toLowerCase())) {
+        warnings.push(`Make ${value.make} does not match the VIN's manufacturer ${decoded.manufacturer}`);
+      }
+    }
+  }
+
+  const hasDetails = Object.entries(value).some(([field, fieldValue]) => field !== "mileageUnit" && fieldValue !== null);
+  return {
+    valid: errors.length === 0,
+    value: hasDetails ? value : null,
+    errors,
+    warnings,
+  };
+}
+
+// One line for prompts and report summaries, e.g.
+// "2015 Ford F-150, automatic transmission, gasoline, 98,000 mi"
+function describeVehicle(vehicle) {
+  if (!vehicle) return null;
+
+  const name = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(" ");
+  const parts = [
+    name || "Unknown vehicle",
+    vehicle.transmission && `${vehicle.transmission.replace(/_/g, " ")} transmission`,
+    vehicle.fuelType && vehicle.fuelType.replace(/_/g, " "),
+    vehicle.mileage !== null && `${vehicle.mileage.toLocaleString("en-US")} ${vehicle.mileageUnit}`,
+  ];
+  return parts.filter(Boolean).join(", ");
+}
+
+module.exports = {
+  FUEL_TYPES,
+  TRANSMISSIONS,
+  MILEAGE_UNITS,
+  decodeVin,
+  validateVehicle,
+  describeVehicle,
+};
@@ -1,21 +1,166 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
 import axios from 'axios';
+import {
+  uploadInChunks,
+  savePendingUpload,
+  loadPendingUpload,
+  clearPendingUpload,
+  uploadHeaders,
+  validateMediaFile,
+  isAudioOnly,
+  recordingFileName,
+  ACCEPTED_MEDIA,
+} from './upload';
+import { createLevelMonitor, getQualityWarnings } from './recordingQuality';
+import {
+  FUEL_TYPES,
+  TRANSMISSIONS,
+  normalizeVin,
+  hasVehicleDetails,
+  loadVehicleProfile,
+  saveVehicleProfile,
+  describeVehicle,
+} from './vehicle';
+import { parseCodes, MAX_CODES } from './troubleCodes';
+import { formatMoney, formatRange, formatHours } from './estimate';
+import {
+  LOCALES,
+  RECORDING_LANGUAGES,
+  RTL_LANGUAGES,
+  loadLocale,
+  saveLocale,
+  createTranslator,
+} from './i18n';
+
+// Longest recording the app allows; shorter limits can be picked before recording
+const MAX_RECORDING_SECONDS = parseInt(import.meta.env.VITE_MAX_RECORDING_SECONDS, 10) || 300;
+const RECORDING_LIMIT_OPTIONS = [60, 120, 300, 600].filter(seconds => seconds < MAX_RECORDING_SECONDS).concat(MAX_RECORDING_SECONDS);
+
+// Report downloads; HTML opens in a new tab to be printed
+// A PDF the server has no font for downloads as the printable page instead
+const REPORT_EXPORTS = [
+  { format: 'pdf', label: 'report.exportPdf', download: true, query: '?fallback=html&download=1' },
+  { format: 'html', label: 'report.print', download: false },
+  { format: 'json', label: 'report.exportJson', download: true },
+  { format: 'csv', label: 'report.exportCsv', download: true },
+];
+
+// Drive-safety verdicts are shown in the colors of the matching severity
+const VERDICT_SEVERITY = {
+  do_not_drive: 'high',
+  caution: 'medium',
+  safe: 'low',
+};
+
+// Reports saved before issues were graded list them as plain text
+const issueText = (issue) => (typeof issue === 'string' ? issue : issue.description);
+
+// Status message colors; messages say which tone they are rather than the
+// tone being guessed from their wording
+const MESSAGE_TONES = {
+  error: 'bg-red-50 border-red-200 text-red-800',
+  progress: 'bg-blue-50 border-blue-200 text-blue-800',
+  success: 'bg-green-50 border-green-200 text-green-800',
+};
 
 const VideoProblemDetector = () => {
+  // Interface language, and the languages the recording is spoken and reported in
+  const [locale, setLocale] = useState(loadLocale);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const [spokenLanguage, setSpokenLanguage] = useState('auto');
+  const [reportLanguage, setReportLanguage] = useState('auto');
+
   const [isProcessing, setIsProcessing] = useState(false);
-  const [message, setMessage] = useState('');
+  // { key, params, tone }, translated when rendered so it follows the interface language
+  const [message, setMessage] = useState(null);
   const [analysis, setAnalysis] = useState(null);
+  // Saved diagnosis the report exports are downloaded from; null if saving failed
+  const [diagnosisId, setDiagnosisId] = useState(null);
+  const [isSavingEstimate, setIsSavingEstimate] = useState(false);
+  const [estimateError, setEstimateError] = useState('');
+
+  // Follow-up questions about the report, kept by the server with the diagnosis
+  const [conversation, setConversation] = useState([]);
+  const [chatQuestion, setChatQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const [chatError, setChatError] = useState('');
+  const chatLogRef = useRef(null);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [pendingUpload, setPendingUpload] = useState(null);
   
   // Recording states
   const [isRecording, setIsRecording] = useState(false);
   const [recordedBlob, setRecordedBlob] = useState(null);
   const [recordingTime, setRecordingTime] = useState(0);
+  const [captureMode, setCaptureMode] = useState('video');
+  const [recordingLimit, setRecordingLimit] = useState(MAX_RECORDING_SECONDS);
+  const [isPaused, setIsPaused] = useState(false);
+  const [inputLevel, setInputLevel] = useState(0);
+  const [qualityWarnings, setQualityWarnings] = useState([]);
   const mediaRecorderRef = useRef(null);
   const streamRef = useRef(null);
+  const levelMonitorRef = useRef(null);
+  const recordingSecondsRef = useRef(0);
+
+  // Vehicle details sent with the recording
+  const [vehicle, setVehicle] = useState(loadVehicleProfile);
+  const [showVehicleForm, setShowVehicleForm] = useState(() => hasVehicleDetails(loadVehicleProfile()));
+  const [vinInfo, setVinInfo] = useState(null);
+
+  // Scanner trouble codes sent with the recording
+  const [troubleCodes, setTroubleCodes] = useState([]);
+  const [codeInput, setCodeInput] = useState('');
+  const [codeError, setCodeError] = useState('');
   const videoPreviewRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
   const timerRef = useRef(null);
 
+  // Playback of the recording, kept in sync with the transcript
+  const playbackRef = useRef(null);
+  const [playbackTimeMs, setPlaybackTimeMs] = useState(0);
+  const playbackUrl = useMemo(() => (recordedBlob ? URL.createObjectURL(recordedBlob) : null), [recordedBlob]);
+
+  const notify = (key, params = {}, tone = 'success') => {
+    setMessage({ key, params, tone });
+  };
+
+  // Keep the newest chat message in view
+  useEffect(() => {
+    if (chatLogRef.current) {
+      chatLogRef.current.scrollTop = chatLogRef.current.scrollHeight;
+    }
+  }, [conversation]);
+
+  // Offer to resume an upload that was interrupted, e.g. by a page reload
+  useEffect(() => {
+    loadPendingUpload()
+      .then(upload => {
+        if (upload) {
+          setPendingUpload(upload);
+          setRecordedBlob(upload.blob);
+          notify('message.pendingUpload');
+        }
+      })
+      .catch(error => console.error('Could not read pending upload:', error));
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => () => {
+    if (playbackUrl) {
+      URL.revokeObjectURL(playbackUrl);
+    }
+  }, [playbackUrl]);
+
+  const changeLocale = (value) => {
+    setLocale(value);
+    saveLocale(value);
+  };
+
   // Use environment variable for API URL
   const API_BASE_URL = import.meta.env.VITE_SERVER_URL || 'https://vehicle-diagnostic-analysis.vercel.app';
  
@@ -37,104 +182,137 @@ const VideoProblemDetector = () => {
     };
   };
 
-  // Split video into chunks for upload
-  const splitVideoIntoChunks = (blob, chunkSize = 2 * 1024 * 1024) => { // 2MB chunks
-    const chunks = [];
-    let start = 0;
-    
-    while (start < blob.size) {
-      const end = Math.min(start + chunkSize, blob.size);
-      const chunk = blob.slice(start, end);
-      chunks.push(chunk);
-      start = end;
-    }
-    
-    return chunks;
+  // Audio-only settings for describing the problem without a camera
+  const getAudioSettings = () => {
+    return {
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        sampleRate: 44100,
+        channelCount: 1
+      }
+    };
   };
 
-  // Upload video in chunks
-  const uploadVideoInChunks = async (blob, fileName) => {
-    const chunks = splitVideoIntoChunks(blob);
-    const totalChunks = chunks.length;
-    const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    setMessage(`Uploading video... 0% (0/${totalChunks} chunks)`);
+  // Upload the recording in chunks, resuming any chunks already on the server
+  const uploadVideoInChunks = async (blob, upload) => {
+    notify('message.uploading', {}, 'progress');
     setUploadProgress(0);
 
-    try {
-      // Upload each chunk
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const formData = new FormData();
-        
-        formData.append('chunk', chunk);
-        formData.append('chunkIndex', i.toString());
-        formData.append('totalChunks', totalChunks.toString());
-        formData.append('uploadId', uploadId);
-        formData.append('fileName', fileName);
-        formData.append('fileType', blob.type);
-        formData.append('fileSize', blob.size.toString());
-
-        const response = await axios.post(`${API_BASE_URL}/upload-chunk`, formData, {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-          },
-          timeout: 30000,
-        });
-
-        // Update progress
-        const progress = Math.round(((i + 1) / totalChunks) * 100);
+    const mergeData = await uploadInChunks({
+      apiBaseUrl: API_BASE_URL,
+      blob,
+      fileName: upload.fileName,
+      session: upload.session,
+      // Remember the server's upload session so a reload can resume it
+      onSession: async (session) => {
+        const updated = { ...upload, session };
+        setPendingUpload(updated);
+        await savePendingUpload(updated).catch(error => console.error('Could not save pending upload:', error));
+      },
+      onProgress: (completed, totalChunks) => {
+        const progress = Math.round((completed / totalChunks) * 100);
         setUploadProgress(progress);
-        setMessage(`Uploading video... ${progress}% (${i + 1}/${totalChunks} chunks)`);
+        notify('message.uploadProgress', { progress, completed, total: totalChunks }, 'progress');
+      },
+    });
+
+    return mergeData;
+  };
 
-        // Check if chunk upload failed
-        if (!response.data.success) {
-          throw new Error(`Chunk ${i + 1} upload failed`);
+  // Follow an analysis job until it finishes. Uses Server-Sent Events and
+  // falls back to polling GET /jobs/:id if the stream cannot be opened. Both
+  // need the token of the upload the job analyzes.
+  const waitForJob = (jobId, uploadToken) => {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const handleUpdate = (job) => {
+        setJobStatus(job);
+        notify('message.jobStage', { stage: t(`stage.${job.stage}`, { fallback: job.message }) }, 'progress');
+
+        if (job.status === 'completed') {
+          settled = true;
+          resolve(job.result);
+        } else if (job.status === 'failed') {
+          settled = true;
+          reject(new Error(job.error || t('error.analysis')));
         }
-      }
+        return settled;
+      };
 
-      // All chunks uploaded, now merge them
-      setMessage('Finalizing upload...');
-      
-      const mergeResponse = await axios.post(`${API_BASE_URL}/merge-chunks`, {
-        uploadId,
-        fileName,
-        totalChunks,
-        fileType: blob.type,
-        fileSize: blob.size
-      });
+      const poll = async () => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`, {
+            headers: uploadHeaders(uploadToken),
+            timeout: 15000,
+          });
+          if (!handleUpdate(response.data.job)) {
+            setTimeout(poll, 2000);
+          }
+        } catch (error) {
+          settled = true;
+          reject(error);
+        }
+      };
 
-      if (!mergeResponse.data.success) {
-        throw new Error('Failed to merge video chunks');
+      if (typeof EventSource === 'undefined') {
+        poll();
+        return;
       }
 
-      return mergeResponse.data.filePath;
+      const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events?uploadToken=${encodeURIComponent(uploadToken)}`);
+      const onEvent = (event) => {
+        if (handleUpdate(JSON.parse(event.data))) {
+          source.close();
+        }
+      };
 
-    } catch (error) {
-      // Cleanup on error
-      try {
-        await axios.post(`${API_BASE_URL}/cancel-upload`, { uploadId });
-      } catch (cleanupError) {
-        console.error('Cleanup failed:', cleanupError);
+      source.addEventListener('progress', onEvent);
+      source.addEventListener('completed', onEvent);
+      source.addEventListener('failed', onEvent);
+      source.onerror = () => {
+        // Stream dropped (proxy or platform timeout), keep following the job by polling
+        source.close();
+        if (!settled) {
+          poll();
+        }
+      };
+    });
+  };
+
+  // Count recorded seconds, stopping once the chosen limit is reached
+  const startTimer = () => {
+    timerRef.current = setInterval(() => {
+      recordingSecondsRef.current += 1;
+      setRecordingTime(recordingSecondsRef.current);
+      if (recordingSecondsRef.current >= recordingLimit) {
+        stopRecording();
       }
-      throw error;
-    }
+    }, 1000);
   };
 
   // Start live recording
   const startRecording = async () => {
+    const audioOnly = captureMode === 'audio';
+
     try {
-      setMessage('Initializing camera and microphone...');
+      notify(audioOnly ? 'message.initMicrophone' : 'message.initCamera', {}, 'progress');
+      setQualityWarnings([]);
       
-      const stream = await navigator.mediaDevices.getUserMedia(getVideoSettings());
+      const stream = await navigator.mediaDevices.getUserMedia(audioOnly ? getAudioSettings() : getVideoSettings());
       streamRef.current = stream;
       
-      if (videoPreviewRef.current) {
+      if (videoPreviewRef.current && !audioOnly) {
         videoPreviewRef.current.srcObject = stream;
       }
 
       // Try different mime types
-      const mimeTypes = [
+      const mimeTypes = audioOnly ? [
+        'audio/webm; codecs=opus',
+        'audio/webm',
+        'audio/mp4'
+      ] : [
         'video/webm; codecs=vp9,opus',
         'video/webm; codecs=vp8,opus',
         'video/webm',
@@ -149,7 +327,10 @@ const VideoProblemDetector = () => {
         }
       }
 
-      const mediaRecorder = new MediaRecorder(stream, {
+      const mediaRecorder = new MediaRecorder(stream, audioOnly ? {
+        mimeType: supportedType,
+        audioBitsPerSecond: 128000
+      } : {
         mimeType: supportedType,
         videoBitsPerSecond: 2000000 // 2Mbps for good quality
       });
@@ -164,44 +345,53 @@ const VideoProblemDetector = () => {
       };
 
       mediaRecorder.onstop = () => {
-        const blob = new Blob(chunks, { type: supportedType || 'video/webm' });
+        const blob = new Blob(chunks, { type: supportedType || (audioOnly ? 'audio/webm' : 'video/webm') });
         setRecordedBlob(blob);
         
-        const sizeMB = (blob.size / (1024 * 1024)).toFixed(2);
-        setMessage(`Recording complete (${sizeMB}MB). Ready for analysis.`);
+        const size = (blob.size / (1024 * 1024)).toFixed(2);
+        notify(recordingSecondsRef.current >= recordingLimit ? 'message.recordingCompleteAtLimit' : 'message.recordingComplete', { size });
       };
 
+      // Live input level, also used to warn about silent or clipped audio
+      levelMonitorRef.current = createLevelMonitor(stream, setInputLevel);
+
       mediaRecorder.start(1000);
       setIsRecording(true);
-      setMessage('Recording in progress... Please describe the vehicle issue clearly.');
+      setIsPaused(false);
+      notify('message.recordingInProgress', {}, 'progress');
+      recordingSecondsRef.current = 0;
       setRecordingTime(0);
-      
-      timerRef.current = setInterval(() => {
-        setRecordingTime(prev => prev + 1);
-      }, 1000);
+      startTimer();
 
     } catch (error) {
       console.error('Error starting recording:', error);
-      let errorMessage = 'Error accessing camera or microphone';
+      let errorKey = audioOnly ? 'error.microphone' : 'error.camera';
       
       if (error.name === 'NotAllowedError') {
-        errorMessage = 'Camera and microphone access denied. Please allow permissions.';
+        errorKey = audioOnly ? 'error.microphoneDenied' : 'error.cameraDenied';
       } else if (error.name === 'NotFoundError') {
-        errorMessage = 'No camera found on this device.';
+        errorKey = audioOnly ? 'error.noMicrophone' : 'error.noCamera';
       } else if (error.name === 'NotSupportedError') {
-        errorMessage = 'Your browser does not support video recording.';
+        errorKey = 'error.notSupported';
       }
       
-      setMessage(errorMessage);
+      notify(errorKey, {}, 'error');
     }
   };
 
-  // Stop recording
+  // Stop recording. Also called from the timer, so it checks the recorder
+  // itself rather than the isRecording state captured when the timer started.
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
       mediaRecorderRef.current.stop();
       setIsRecording(false);
+      setIsPaused(false);
       clearInterval(timerRef.current);
+
+      if (levelMonitorRef.current) {
+        setQualityWarnings(getQualityWarnings(levelMonitorRef.current.stop()));
+        levelMonitorRef.current = null;
+      }
       
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
@@ -213,6 +403,165 @@ const VideoProblemDetector = () => {
     }
   };
 
+  // Pause and resume keep recording into the same file; paused time does not
+  // count towards the length limit
+  const togglePause = () => {
+    const mediaRecorder = mediaRecorderRef.current;
+    if (!mediaRecorder) return;
+
+    if (mediaRecorder.state === 'recording') {
+      mediaRecorder.pause();
+      clearInterval(timerRef.current);
+      levelMonitorRef.current?.pause();
+      setIsPaused(true);
+      notify('message.recordingPaused', {}, 'progress');
+    } else if (mediaRecorder.state === 'paused') {
+      mediaRecorder.resume();
+      startTimer();
+      levelMonitorRef.current?.resume();
+      setIsPaused(false);
+      notify('message.recordingInProgress', {}, 'progress');
+    }
+  };
+
+  const updateVehicle = (field, value) => {
+    setVehicle(prev => {
+      const updated = { ...prev, [field]: value };
+      saveVehicleProfile(updated);
+      return updated;
+    });
+  };
+
+  // Decode a complete VIN on the server and fill in what the form is missing
+  const handleVinChange = async (value) => {
+    const vin = normalizeVin(value);
+    updateVehicle('vin', vin);
+
+    if (vin.length !== 17) {
+      setVinInfo(vin ? { valid: false, text: t('vehicle.vinLength', { count: vin.length }) } : null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${API_BASE_URL}/vehicles/decode-vin/${vin}`, { timeout: 10000 });
+      const decoded = response.data.decoded;
+      setVinInfo({
+        valid: true,
+        text: [decoded.manufacturer, decoded.modelYear, decoded.region].filter(Boolean).join(' · ') || t('vehicle.vinValid'),
+        warnings: decoded.warnings,
+      });
+      setVehicle(prev => {
+        const updated = {
+          ...prev,
+          make: prev.make || decoded.manufacturer || '',
+          year: prev.year || (decoded.modelYear ? String(decoded.modelYear) : ''),
+        };
+        saveVehicleProfile(updated);
+        return updated;
+      });
+    } catch (error) {
+      setVinInfo({ valid: false, text: error.response?.data?.error || t('vehicle.vinCheckFailed') });
+    }
+  };
+
+  // Add the codes typed so far; invalid ones stay in the box to be corrected
+  const addTroubleCodes = () => {
+    const { codes, invalid } = parseCodes(codeInput);
+    const added = codes.filter((code, index) => codes.indexOf(code) === index && !troubleCodes.some(existing => existing.code === code))
+      .slice(0, Math.max(MAX_CODES - troubleCodes.length, 0));
+
+    setCodeInput(invalid.join(' '));
+    setCodeError(invalid.length
+      ? t('codes.invalid', { codes: invalid.join(', ') })
+      : troubleCodes.length + codes.length > MAX_CODES ? t('codes.tooMany', { max: MAX_CODES }) : '');
+    if (!added.length) return;
+
+    setTroubleCodes(prev => [...prev, ...added.map(code => ({ code, description: null }))]);
+
+    // Describe each code from the server's dictionary
+    added.forEach(async (code) => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/dtcs/${code}`, { timeout: 10000 });
+        setTroubleCodes(prev => prev.map(entry => (entry.code === code ? { ...entry, description: response.data.dtc.description } : entry)));
+      } catch (error) {
+        console.error(`Could not describe ${code}:`, error.message);
+      }
+    });
+  };
+
+  const removeTroubleCode = (code) => {
+    setTroubleCodes(prev => prev.filter(entry => entry.code !== code));
+  };
+
+  // Use an existing video or voice note instead of recording one
+  const handleFileSelected = (file) => {
+    if (!file) return;
+
+    const error = validateMediaFile(file);
+    if (error) {
+      notify(error.key, error.params, 'error');
+      return;
+    }
+
+    setRecordedBlob(file);
+    setQualityWarnings([]);
+    setAnalysis(null);
+    setDiagnosisId(null);
+    setEstimateError('');
+    setConversation([]);
+    setChatError('');
+    setPlaybackTimeMs(0);
+    notify('message.fileLoaded', { name: file.name, size: (file.size / (1024 * 1024)).toFixed(2) });
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (!isRecording && !isProcessing) {
+      handleFileSelected(event.dataTransfer.files[0]);
+    }
+  };
+
+  // Jump the playback to the moment a word was spoken
+  const seekTo = (ms) => {
+    const player = playbackRef.current;
+    if (!player) return;
+
+    player.currentTime = ms / 1000;
+    player.play().catch(() => {});
+  };
+
+  // Keyword hits that are real complaints, with the timed mentions of each
+  const getComplaintHits = (keywordSearch) => {
+    const hits = keywordSearch.hits || keywordSearch.foundKeywords.map(keyword => ({ keyword, occurrences: [] }));
+    return hits
+      .filter(hit => hit.isComplaint !== false)
+      .map(hit => ({
+        ...hit,
+        mentions: hit.occurrences.filter(occurrence =>
+          occurrence.start != null && (!occurrence.polarity || occurrence.polarity === 'present' || occurrence.polarity === 'uncertain')
+        ),
+      }));
+  };
+
+  // Indexes of transcript words that are part of a keyword hit
+  const keywordWordIndexes = useMemo(() => {
+    const indexes = new Set();
+    (analysis?.keywordSearch?.hits || []).forEach((hit) => {
+      hit.occurrences
+        .filter(occurrence => !occurrence.polarity || occurrence.polarity === 'present' || occurrence.polarity === 'uncertain')
+        .forEach(({ wordIndex, wordCount }) => {
+          for (let i = wordIndex; i < wordIndex + wordCount; i++) {
+            indexes.add(i);
+          }
+        });
+    });
+    return indexes;
+  }, [analysis]);
+
+  // Urdu transcripts read right to left; other scripts are left to the browser
+  const transcriptDir = RTL_LANGUAGES.includes(analysis?.languages?.detected) ? 'rtl' : 'auto';
+
   // Format time for display
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -223,62 +572,161 @@ const VideoProblemDetector = () => {
   // Process recorded video with chunked upload
   const processRecording = async () => {
     if (!recordedBlob) {
-      setMessage('Please record a video first');
+      notify('message.recordFirst', {}, 'error');
       return;
     }
 
     setIsProcessing(true);
-    setMessage('Starting video upload...');
+    notify('message.startingUpload', {}, 'progress');
     setAnalysis(null);
+    setDiagnosisId(null);
+    setEstimateError('');
+    setConversation([]);
+    setChatError('');
     setUploadProgress(0);
+    let uploadFinished = false;
 
     try {
-      const fileName = `vehicle-recording-${Date.now()}.webm`;
-      
+      // Reuse the interrupted upload for this recording, if any, so finished chunks are skipped
+      const upload = pendingUpload && pendingUpload.blob === recordedBlob
+        ? pendingUpload
+        : { session: null, fileName: recordedBlob.name || recordingFileName(recordedBlob), blob: recordedBlob };
+
+      setPendingUpload(upload);
+      await savePendingUpload(upload).catch(error => console.error('Could not save pending upload:', error));
+
       // Upload video in chunks
-      const filePath = await uploadVideoInChunks(recordedBlob, fileName);
+      const media = await uploadVideoInChunks(recordedBlob, upload);
+
+      uploadFinished = true;
+      setPendingUpload(null);
+      await clearPendingUpload().catch(() => {});
       
-      // Now process the uploaded video
-      setMessage('Video uploaded! Starting AI analysis...');
+      // Queue the analysis job, then follow its progress
+      notify('message.uploaded', {}, 'progress');
       
       const response = await axios.post(`${API_BASE_URL}/process-recording`, {
-        filePath: filePath,
-        fileName: fileName,
-        fileSize: recordedBlob.size,
-        fileType: recordedBlob.type
+        mediaId: media.mediaId,
+        vehicle: hasVehicleDetails(vehicle) ? vehicle : undefined,
+        dtcs: troubleCodes.map(entry => entry.code),
+        language: spokenLanguage,
+        reportLanguage
       }, {
-        timeout: 60000, // Longer timeout for processing
+        headers: uploadHeaders(media.uploadToken),
+        timeout: 30000,
       });
 
-      setMessage('Analysis complete');
-      setAnalysis(response.data.analysis);
+      setUploadProgress(0);
+      setJobStatus(response.data.job);
+      const result = await waitForJob(response.data.jobId, media.uploadToken);
+
+      notify('message.analysisComplete');
+      setAnalysis(result.analysis);
+      setDiagnosisId(result.diagnosisId);
       
     } catch (error) {
-      let errorMsg = 'Analysis failed';
+      let errorMsg = t('error.analysis');
       
       if (error.code === 'ECONNABORTED') {
-        errorMsg = 'Request timeout. Please try again.';
+        errorMsg = t('error.timeout');
       } else if (error.response?.status === 413) {
-        errorMsg = 'Upload failed. Please try again.';
+        errorMsg = t('error.upload');
       } else {
-        errorMsg = error.response?.data?.error || error.message;
+        errorMsg = error.response?.data?.message || error.response?.data?.error || error.message;
+      }
+
+      if (error.response?.data?.details) {
+        errorMsg += `: ${error.response.data.details.join('; ')}`;
+      }
+      
+      if (!uploadFinished) {
+        errorMsg += ` ${t('error.resumeUpload')}`;
       }
       
-      setMessage(`Analysis failed: ${errorMsg}`);
+      notify('message.analysisFailed', { reason: errorMsg }, 'error');
       console.error('Analysis Error:', error);
     } finally {
       setIsProcessing(false);
       setUploadProgress(0);
+      setJobStatus(null);
+    }
+  };
+
+  // Accept or remove estimate line items, or change the labor rate; the
+  // server reprices the estimate and keeps it with the saved diagnosis
+  const updateEstimate = async (changes) => {
+    if (!diagnosisId) return;
+
+    setIsSavingEstimate(true);
+    setEstimateError('');
+    try {
+      const response = await axios.put(`${API_BASE_URL}/diagnoses/${diagnosisId}/estimate`, changes, { timeout: 10000 });
+      setAnalysis(prev => ({ ...prev, estimate: response.data.estimate }));
+    } catch (error) {
+      setEstimateError(error.response?.data?.details?.join('; ') || error.response?.data?.error || t('estimate.saveFailed'));
+    } finally {
+      setIsSavingEstimate(false);
+    }
+  };
+
+  const setItemStatus = (itemId, status) => updateEstimate({ items: { [itemId]: status } });
+
+  const saveLaborRate = (value) => {
+    const rate = Number(value);
+    if (!value || rate === analysis.estimate.laborRate) return;
+    updateEstimate({ laborRate: rate });
+  };
+
+  // The question shows straight away; if it cannot be answered it goes back
+  // into the box so it can be sent again
+  const askFollowUp = async (question) => {
+    const text = question.trim();
+    if (!text || !diagnosisId || isAsking) return;
+
+    setIsAsking(true);
+    setChatError('');
+    setChatQuestion('');
+    setConversation(prev => [...prev, { role: 'user', content: text, pending: true }]);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/diagnoses/${diagnosisId}/conversation`, { question: text }, { timeout: 120000 });
+      setConversation(response.data.messages);
+    } catch (error) {
+      setConversation(prev => prev.filter(entry => !entry.pending));
+      setChatQuestion(text);
+      setChatError(error.code === 'ECONNABORTED'
+        ? t('error.timeout')
+        : error.response?.data?.details?.join('; ') || error.response?.data?.error || t('chat.failed'));
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const clearConversation = async () => {
+    try {
+      await axios.delete(`${API_BASE_URL}/diagnoses/${diagnosisId}/conversation`, { timeout: 10000 });
+      setConversation([]);
+      setChatError('');
+    } catch (error) {
+      setChatError(error.response?.data?.error || t('chat.failed'));
     }
   };
 
   // Reset and start new recording
   const startNewRecording = () => {
+    setPendingUpload(null);
+    clearPendingUpload().catch(() => {});
     setRecordedBlob(null);
+    setQualityWarnings([]);
     setAnalysis(null);
-    setMessage('');
+    setDiagnosisId(null);
+    setEstimateError('');
+    setConversation([]);
+    setChatError('');
+    setMessage(null);
     setRecordingTime(0);
     setUploadProgress(0);
+    setJobStatus(null);
+    setPlaybackTimeMs(0);
   };
 
   // Severity color coding
@@ -297,11 +745,23 @@ const VideoProblemDetector = () => {
         
         {/* Header */}
         <div className="text-center mb-8">
+          <div className="flex justify-end mb-2">
+            <select
+              value={locale}
+              onChange={(e) => changeLocale(e.target.value)}
+              aria-label={t('app.uiLanguage')}
+              className="py-1 px-2 rounded-lg border border-gray-300 bg-white text-sm text-gray-700"
+            >
+              {Object.entries(LOCALES).map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            Vehicle Diagnostic Analysis
+            {t('app.title')}
           </h1>
           <p className="text-gray-600">
-            Record vehicle issues for AI-powered diagnostic analysis
+            {t('app.subtitle')}
           </p>
           
         </div>
@@ -311,7 +771,7 @@ const VideoProblemDetector = () => {
           {/* Recording Section */}
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <h2 className="text-xl font-semibold text-gray-800 mb-4">
-              Video Recording
+              {captureMode === 'audio' ? t('recording.audioTitle') : t('recording.videoTitle')}
             </h2>
 
             {/* Video Preview */}
@@ -321,8 +781,27 @@ const VideoProblemDetector = () => {
                 autoPlay
                 muted
                 playsInline
-                className="w-full h-full object-cover"
+                className={`w-full h-full object-cover ${(recordedBlob && !isRecording) || (isRecording && captureMode === 'audio') ? 'hidden' : ''}`}
               />
+              {isRecording && captureMode === 'audio' && (
+                <div className="w-full h-full flex flex-col items-center justify-center text-gray-300">
+                  <svg className="w-10 h-10 mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+                  </svg>
+                  <p className="text-sm">{t('recording.audioOnlyActive')}</p>
+                </div>
+              )}
+              {/* Preview of the recording or chosen file */}
+              {recordedBlob && !isRecording && playbackUrl && (
+                isAudioOnly(recordedBlob) ? (
+                  <div className="w-full h-full flex flex-col items-center justify-center gap-3 px-4 text-gray-300">
+                    <p className="text-sm truncate max-w-full">{recordedBlob.name || t('recording.audioFile')}</p>
+                    <audio src={playbackUrl} controls className="w-full" />
+                  </div>
+                ) : (
+                  <video src={playbackUrl} controls playsInline className="w-full h-full object-contain" />
+                )
+              )}
               {!isRecording && !recordedBlob && (
                 <div className="w-full h-full flex items-center justify-center text-gray-400">
                   <div className="text-center">
@@ -331,7 +810,7 @@ const VideoProblemDetector = () => {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
                       </svg>
                     </div>
-                    <p className="text-sm">Camera preview will appear here</p>
+                    <p className="text-sm">{captureMode === 'audio' ? t('recording.audioHint') : t('recording.cameraHint')}</p>
                   </div>
                 </div>
               )}
@@ -340,9 +819,24 @@ const VideoProblemDetector = () => {
             {/* Recording Timer */}
             {isRecording && (
               <div className="text-center mb-4">
-                <div className="inline-flex items-center px-4 py-2 bg-red-50 text-red-700 rounded-full border border-red-200">
-                  <span className="w-2 h-2 bg-red-500 rounded-full mr-2 animate-pulse"></span>
-                  Recording: {formatTime(recordingTime)}
+                <div className={`inline-flex items-center px-4 py-2 rounded-full border ${
+                  isPaused ? 'bg-gray-50 text-gray-700 border-gray-200' : 'bg-red-50 text-red-700 border-red-200'
+                }`}>
+                  <span className={`w-2 h-2 rounded-full mr-2 ${isPaused ? 'bg-gray-400' : 'bg-red-500 animate-pulse'}`}></span>
+                  {isPaused ? t('recording.paused') : t('recording.recording')}: {formatTime(recordingTime)} / {formatTime(recordingLimit)}
+                </div>
+
+                {/* Input Level */}
+                <div className="mt-3 flex items-center gap-2 text-xs text-gray-500">
+                  <span>{t('recording.mic')}</span>
+                  <div className="flex-1 bg-gray-200 rounded-full h-2 overflow-hidden">
+                    <div
+                      className={`h-2 rounded-full transition-all duration-100 ${
+                        inputLevel > 0.9 ? 'bg-red-500' : inputLevel > 0.6 ? 'bg-yellow-500' : 'bg-green-500'
+                      }`}
+                      style={{ width: `${Math.round(inputLevel * 100)}%` }}
+                    ></div>
+                  </div>
                 </div>
               </div>
             )}
@@ -351,7 +845,7 @@ const VideoProblemDetector = () => {
             {uploadProgress > 0 && (
               <div className="mb-4">
                 <div className="flex justify-between text-sm text-gray-600 mb-1">
-                  <span>Upload Progress</span>
+                  <span>{t('progress.upload')}</span>
                   <span>{uploadProgress}%</span>
                 </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
@@ -363,10 +857,258 @@ const VideoProblemDetector = () => {
               </div>
             )}
 
+            {/* Analysis Progress */}
+            {jobStatus && (
+              <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <div className="flex justify-between text-sm text-gray-600 mb-3">
+                  <span className="font-medium">{t('progress.analysis')}</span>
+                  <span>{jobStatus.progress}%</span>
+                </div>
+                <ol className="space-y-2">
+                  {jobStatus.stages.map((stage) => (
+                    <li key={stage.key} className="flex items-center text-sm">
+                      {stage.status === 'done' && (
+                        <svg className="w-4 h-4 mr-2 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                        </svg>
+                      )}
+                      {stage.status === 'active' && (
+                        <svg className="animate-spin w-4 h-4 mr-2 text-blue-500" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"/>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"/>
+                        </svg>
+                      )}
+                      {stage.status === 'failed' && (
+                        <svg className="w-4 h-4 mr-2 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      )}
+                      {stage.status === 'pending' && (
+                        <span className="w-4 h-4 mr-2 rounded-full border-2 border-gray-300"></span>
+                      )}
+                      <span className={stage.status === 'pending' ? 'text-gray-400' : 'text-gray-700'}>
+                        {t(`stage.${stage.key}`, { fallback: stage.label })}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
+            {/* Vehicle Details */}
+            <div className="mb-4 rounded-lg border border-gray-200">
+              <button
+                type="button"
+                onClick={() => setShowVehicleForm(prev => !prev)}
+                className="w-full flex justify-between items-center px-4 py-3 text-sm font-medium text-gray-700"
+              >
+                <span>
+                  {t('vehicle.title')}
+                  <span className="ml-2 font-normal text-gray-500">
+                    {hasVehicleDetails(vehicle) ? describeVehicle(vehicle, t) : t('vehicle.optional')}
+                  </span>
+                </span>
+                <span className="text-gray-400">{showVehicleForm ? '−' : '+'}</span>
+              </button>
+
+              {showVehicleForm && (
+                <fieldset disabled={isProcessing} className="px-4 pb-4 grid grid-cols-2 gap-3">
+                  <label className="col-span-2 text-xs text-gray-600">
+                    {t('vehicle.vin')}
+                    <input
+                      type="text"
+                      value={vehicle.vin}
+                      maxLength={20}
+                      onChange={(e) => handleVinChange(e.target.value)}
+                      placeholder={t('vehicle.vinPlaceholder')}
+                      className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700 font-mono uppercase"
+                    />
+                    {vinInfo && (
+                      <span className={`block mt-1 ${vinInfo.valid ? 'text-green-700' : 'text-red-700'}`}>
+                        {vinInfo.text}
+                        {vinInfo.warnings?.map((warning, index) => (
+                          <span key={index} className="block text-yellow-700">{warning}</span>
+                        ))}
+                      </span>
+                    )}
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    {t('vehicle.make')}
+                    <input type="text" value={vehicle.make} onChange={(e) => updateVehicle('make', e.target.value)} className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700" />
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    {t('vehicle.model')}
+                    <input type="text" value={vehicle.model} onChange={(e) => updateVehicle('model', e.target.value)} className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700" />
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    {t('vehicle.year')}
+                    <input
+                      type="number"
+                      min="1900"
+                      max={new Date().getFullYear() + 1}
+                      value={vehicle.year}
+                      onChange={(e) => updateVehicle('year', e.target.value)}
+                      className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    {t('vehicle.mileage')}
+                    <div className="flex gap-1">
+                      <input
+                        type="number"
+                        min="0"
+                        value={vehicle.mileage}
+                        onChange={(e) => updateVehicle('mileage', e.target.value)}
+                        className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700"
+                      />
+                      <select value={vehicle.mileageUnit} onChange={(e) => updateVehicle('mileageUnit', e.target.value)} className="mt-1 py-2 px-2 rounded-lg border border-gray-300 bg-white text-sm text-gray-700">
+                        <option value="mi">mi</option>
+                        <option value="km">km</option>
+                      </select>
+                    </div>
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    {t('vehicle.fuelLabel')}
+                    <select value={vehicle.fuelType} onChange={(e) => updateVehicle('fuelType', e.target.value)} className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700">
+                      <option value="">{t('vehicle.notSpecified')}</option>
+                      {FUEL_TYPES.map(value => (
+                        <option key={value} value={value}>{t(`vehicle.fuel.${value}`)}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    {t('vehicle.transmissionLabel')}
+                    <select value={vehicle.transmission} onChange={(e) => updateVehicle('transmission', e.target.value)} className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700">
+                      <option value="">{t('vehicle.notSpecified')}</option>
+                      {TRANSMISSIONS.map(value => (
+                        <option key={value} value={value}>{t(`vehicle.transmission.${value}`)}</option>
+                      ))}
+                    </select>
+                  </label>
+                </fieldset>
+              )}
+            </div>
+
+            {/* Trouble Codes */}
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="trouble-codes">
+                {t('codes.label')} <span className="font-normal text-gray-500">{t('codes.optional')}</span>
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="trouble-codes"
+                  type="text"
+                  value={codeInput}
+                  disabled={isProcessing}
+                  onChange={(e) => setCodeInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      addTroubleCodes();
+                    }
+                  }}
+                  placeholder={t('codes.placeholder')}
+                  className="flex-1 py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700 font-mono uppercase"
+                />
+                <button
+                  type="button"
+                  onClick={addTroubleCodes}
+                  disabled={isProcessing || !codeInput.trim()}
+                  className="py-2 px-4 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 enabled:hover:bg-gray-200 border border-gray-300 disabled:opacity-50"
+                >
+                  {t('codes.add')}
+                </button>
+              </div>
+              {codeError && <p className="mt-1 text-xs text-red-700">{codeError}</p>}
+              {troubleCodes.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {troubleCodes.map(entry => (
+                    <li key={entry.code} className="flex items-center justify-between text-sm bg-gray-50 rounded px-3 py-1 border border-gray-200">
+                      <span>
+                        <span className="font-mono font-medium text-gray-800">{entry.code}</span>
+                        {entry.description && <span className="ml-2 text-xs text-gray-600">{entry.description}</span>}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => removeTroubleCode(entry.code)}
+                        disabled={isProcessing}
+                        className="ml-2 text-gray-400 hover:text-gray-600"
+                        aria-label={t('codes.remove', { code: entry.code })}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Spoken and Report Language */}
+            <div className="mb-4 grid grid-cols-2 gap-3">
+              <label className="text-xs text-gray-600">
+                {t('language.spoken')}
+                <select
+                  value={spokenLanguage}
+                  disabled={isProcessing}
+                  onChange={(e) => setSpokenLanguage(e.target.value)}
+                  className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700"
+                >
+                  {RECORDING_LANGUAGES.map(code => (
+                    <option key={code} value={code}>{t(`language.${code}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs text-gray-600">
+                {t('language.report')}
+                <select
+                  value={reportLanguage}
+                  disabled={isProcessing}
+                  onChange={(e) => setReportLanguage(e.target.value)}
+                  className="mt-1 w-full py-2 px-3 rounded-lg border border-gray-300 bg-white text-sm text-gray-700"
+                >
+                  {RECORDING_LANGUAGES.map(code => (
+                    <option key={code} value={code}>{code === 'auto' ? t('language.sameAsSpoken') : t(`language.${code}`)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
             {/* Recording Controls */}
             <div className="space-y-3">
               {!recordedBlob ? (
                 <>
+                  {/* Capture Mode and Length Limit */}
+                  {!isRecording && (
+                    <div className="flex items-center gap-3">
+                      <div className="flex flex-1 rounded-lg border border-gray-300 overflow-hidden text-sm">
+                        {[['video', t('recording.video')], ['audio', t('recording.audioOnly')]].map(([mode, label]) => (
+                          <button
+                            key={mode}
+                            type="button"
+                            onClick={() => setCaptureMode(mode)}
+                            className={`flex-1 py-2 font-medium transition-colors ${
+                              captureMode === mode ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <label className="flex items-center gap-1 text-sm text-gray-600">
+                        {t('recording.max')}
+                        <select
+                          value={recordingLimit}
+                          onChange={(e) => setRecordingLimit(Number(e.target.value))}
+                          className="py-2 px-2 rounded-lg border border-gray-300 bg-white text-gray-700"
+                        >
+                          {RECORDING_LIMIT_OPTIONS.map(seconds => (
+                            <option key={seconds} value={seconds}>{formatTime(seconds)}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                  )}
+
                   <button 
                     onClick={isRecording ? stopRecording : startRecording}
                     className={`w-full py-3 px-4 rounded-lg font-semibold text-white transition-colors ${
@@ -380,34 +1122,81 @@ const VideoProblemDetector = () => {
                         <svg className="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24">
                           <rect x="6" y="6" width="12" height="12" rx="1"/>
                         </svg>
-                        Stop Recording
+                        {t('recording.stop')}
                       </span>
                     ) : (
                       <span className="flex items-center justify-center">
                         <svg className="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24">
                           <circle cx="12" cy="12" r="5" fill="currentColor"/>
                         </svg>
-                        Start Recording
+                        {t('recording.start')}
                       </span>
                     )}
                   </button>
 
+                  {/* Upload an existing file */}
+                  {!isRecording && (
+                    <div
+                      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                      onDragLeave={() => setIsDragging(false)}
+                      onDrop={handleDrop}
+                      onClick={() => fileInputRef.current?.click()}
+                      className={`cursor-pointer text-center p-4 rounded-lg border-2 border-dashed transition-colors ${
+                        isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+                      }`}
+                    >
+                      <p className="text-sm font-medium text-gray-700">{t('file.drop')}</p>
+                      <p className="text-xs text-gray-500 mt-1">{t('file.formats')}</p>
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept={[...ACCEPTED_MEDIA.extensions, ...ACCEPTED_MEDIA.types].join(',')}
+                        className="hidden"
+                        onChange={(e) => {
+                          handleFileSelected(e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </div>
+                  )}
+
+                  {isRecording && (
+                    <button
+                      onClick={togglePause}
+                      className="w-full py-2 px-4 rounded-lg font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 border border-gray-300 transition-colors"
+                    >
+                      {isPaused ? t('recording.resume') : t('recording.pause')}
+                    </button>
+                  )}
+
                   {isRecording && (
                     <div className="text-center text-sm text-gray-600 bg-blue-50 p-3 rounded-lg border border-blue-100">
-                      <p className="font-medium">Recording Guidelines</p>
-                      <p className="text-xs mt-1">Speak clearly and describe the vehicle issue in detail. Show affected components when possible.</p>
+                      <p className="font-medium">{t('recording.guidelines')}</p>
+                      <p className="text-xs mt-1">{t('recording.guidelinesText')}</p>
                     </div>
                   )}
                 </>
               ) : (
                 <div className="space-y-3">
                   <div className="text-center text-sm text-gray-600 bg-green-50 p-3 rounded-lg border border-green-100">
-                    <p className="font-medium">Video Ready</p>
-                    <p className="text-xs mt-1">
-                      File size: {(recordedBlob.size / (1024 * 1024)).toFixed(2)}MB
+                    <p className="font-medium">{recordedBlob.name ? t('file.readyFile') : isAudioOnly(recordedBlob) ? t('file.readyAudio') : t('file.readyVideo')}</p>
+                    <p className="text-xs mt-1 break-all">
+                      {recordedBlob.name && `${recordedBlob.name} · `}{t('file.size', { size: (recordedBlob.size / (1024 * 1024)).toFixed(2) })}
                     </p>
                     
                   </div>
+
+                  {/* Audio Quality Warnings */}
+                  {qualityWarnings.length > 0 && (
+                    <div className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                      <p className="font-medium">{t('quality.title')}</p>
+                      <ul className="list-disc list-inside text-xs mt-1 space-y-1">
+                        {qualityWarnings.map((warning, index) => (
+                          <li key={index}>{t(warning)}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                   
                   <button 
                     onClick={processRecording}
@@ -424,14 +1213,14 @@ const VideoProblemDetector = () => {
                           <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"/>
                           <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"/>
                         </svg>
-                        {uploadProgress > 0 ? 'Uploading...' : 'Analyzing...'}
+                        {uploadProgress > 0 ? t('button.uploading') : jobStatus ? t('button.analyzingProgress', { progress: jobStatus.progress }) : t('button.analyzing')}
                       </span>
                     ) : (
                       <span className="flex items-center justify-center">
                         <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                         </svg>
-                        Analyze Recording
+                        {t('button.analyze')}
                       </span>
                     )}
                   </button>
@@ -440,7 +1229,7 @@ const VideoProblemDetector = () => {
                     onClick={startNewRecording}
                     className="w-full py-2 px-4 rounded-lg font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 border border-gray-300 transition-colors"
                   >
-                    New Recording
+                    {t('button.newRecording')}
                   </button>
                 </div>
               )}
@@ -451,14 +1240,8 @@ const VideoProblemDetector = () => {
           <div className="space-y-6">
             {/* Status Message */}
             {message && (
-              <div className={`p-4 rounded-lg border ${
-                message.includes('failed') || message.includes('denied') || message.includes('Error') || message.includes('too large')
-                  ? 'bg-red-50 border-red-200 text-red-800' 
-                  : message.includes('Analyzing') || message.includes('Recording') || message.includes('Uploading')
-                  ? 'bg-blue-50 border-blue-200 text-blue-800'
-                  : 'bg-green-50 border-green-200 text-green-800'
-              }`}>
-                <div className="font-medium">{message}</div>
+              <div className={`p-4 rounded-lg border ${MESSAGE_TONES[message.tone]}`}>
+                <div className="font-medium">{t(message.key, message.params)}</div>
               </div>
             )}
 
@@ -467,68 +1250,371 @@ const VideoProblemDetector = () => {
               <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
                 <div className="flex justify-between items-center mb-6">
                   <h2 className="text-xl font-semibold text-gray-800">
-                    Diagnostic Report
+                    {t('report.title')}
                   </h2>
-                  <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium">
-                    AI Analysis
+                  <span
+                    className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium"
+                    title={analysis.aiLatencyMs != null ? `${analysis.aiProvider} · ${analysis.aiLatencyMs}ms` : undefined}
+                  >
+                    {analysis.aiModel || t('report.aiAnalysis')}
                   </span>
                 </div>
 
+                {/* Exports for attaching to a work order */}
+                {diagnosisId && (
+                  <div className="-mt-4 mb-6 flex flex-wrap gap-2">
+                    {REPORT_EXPORTS.map(({ format, label, download, query = '' }) => (
+                      <a
+                        key={format}
+                        href={`${API_BASE_URL}/diagnoses/${diagnosisId}/report/${format}${query}`}
+                        target={download ? undefined : '_blank'}
+                        rel="noreferrer"
+                        className="px-3 py-1 rounded border border-gray-300 bg-white text-xs font-medium text-gray-700 hover:bg-gray-50"
+                      >
+                        {t(label)}
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                {/* Drive-safety verdict */}
+                {analysis.driveSafety && (
+                  <div className={`mb-6 p-4 rounded-lg border-2 ${getSeverityColor(VERDICT_SEVERITY[analysis.driveSafety.verdict])}`}>
+                    <div className="text-xs font-medium uppercase tracking-wide opacity-75">{t('safety.title')}</div>
+                    <div className="text-xl font-bold">{t(`safety.${analysis.driveSafety.verdict}`, { fallback: analysis.driveSafety.verdict })}</div>
+                    <p dir="auto" className="text-sm mt-1">
+                      {analysis.driveSafety.reason || t(`safety.${analysis.driveSafety.verdict}Text`, { fallback: '' })}
+                    </p>
+                  </div>
+                )}
+
+                {/* Recording facts from the media check */}
+                {analysis.media && (
+                  <p className="-mt-4 mb-6 text-xs text-gray-500">
+                    {t('report.recording', { duration: formatTime(Math.round(analysis.media.durationSeconds)) })}
+                    {analysis.media.video && ` · ${analysis.media.video.codec} ${analysis.media.video.width}×${analysis.media.video.height}`}
+                    {` · ${t('report.audioCodec', { codec: analysis.media.audio.codec })}`}
+                    {analysis.media.maxVolumeDb != null && `, ${t('report.peak', { db: analysis.media.maxVolumeDb })}`}
+                  </p>
+                )}
+
+                {/* Vehicle the diagnosis was made for */}
+                {analysis.vehicle && (
+                  <p className="-mt-4 mb-6 text-xs text-gray-500">
+                    {t('report.vehicle', { vehicle: describeVehicle(analysis.vehicle, t) })}
+                    {analysis.vehicle.vin && ` · VIN ${analysis.vehicle.vin}`}
+                  </p>
+                )}
+
+                {/* Languages the recording was heard and reported in */}
+                {analysis.languages && (
+                  <p className="-mt-4 mb-6 text-xs text-gray-500">
+                    {t('report.languages', {
+                      spoken: analysis.languages.detected ? t(`language.${analysis.languages.detected}`, { fallback: analysis.languages.detected }) : t('report.languageUnknown'),
+                      report: t(`language.${analysis.languages.report}`),
+                    })}
+                  </p>
+                )}
+
+                {/* Scanner Trouble Codes vs. the spoken complaint */}
+                {analysis.diagnosticCodes && (
+                  <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-800 mb-3">
+                      {t('codes.title', { count: analysis.diagnosticCodes.codes.length })}
+                    </h3>
+                    <ul className="space-y-2">
+                      {analysis.diagnosticCodes.codes.map(code => (
+                        <li key={code.code} className="text-sm">
+                          <div className="flex items-start justify-between gap-2">
+                            <span>
+                              <span className="font-mono font-medium text-gray-800">{code.code}</span>
+                              <span className="ml-2 text-gray-700">{code.description}</span>
+                            </span>
+                            <span className={`shrink-0 px-2 py-0.5 rounded text-xs font-medium ${
+                              code.correlation === 'supports' ? 'bg-green-100 text-green-800'
+                                : code.correlation === 'contradicts' ? 'bg-red-100 text-red-800'
+                                : 'bg-gray-200 text-gray-700'
+                            }`}>
+                              {t(`codes.correlation.${code.correlation}`)}
+                            </span>
+                          </div>
+                          {code.evidence.length > 0 && (
+                            <p className="text-xs text-gray-500 mt-0.5">
+                              {t(code.correlation === 'contradicts' ? 'codes.saidFine' : 'codes.heard', {
+                                keywords: code.evidence.map(item => item.keyword).join(', '),
+                              })}
+                            </p>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    {analysis.diagnosticCodes.unexplainedCategories.length > 0 && (
+                      <p className="text-xs text-gray-600 mt-3">
+                        {t('codes.unexplained', { categories: analysis.diagnosticCodes.unexplainedCategories.join(', ') })}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {/* Degraded Diagnosis Notice */}
+                {analysis.degraded && (
+                  <div className="mb-6 p-4 bg-orange-50 rounded-lg border border-orange-200 text-orange-800">
+                    <p className="font-medium">{t('report.degradedTitle')}</p>
+                    <p className="text-sm mt-1">
+                      {t('report.degradedText')}
+                    </p>
+                  </div>
+                )}
+
                 {/* Keyword Matches */}
                 {analysis.keywordSearch && analysis.keywordSearch.foundKeywords.length > 0 && (
                   <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
                     <h3 className="text-lg font-semibold text-gray-800 mb-3">
-                      Detected Issues ({analysis.keywordSearch.totalKeywordsFound})
+                      {t('report.detectedIssues', { count: analysis.keywordSearch.totalKeywordsFound })}
                     </h3>
+                    {analysis.keywordSearch.categoryDetails?.length > 0 && (
+                      <p className="text-xs text-gray-600 mb-3">
+                        {t('report.systems', { systems: analysis.keywordSearch.categoryDetails.map(detail => detail.label).join(', ') })}
+                      </p>
+                    )}
                     <div className="flex flex-wrap gap-2">
-                      {analysis.keywordSearch.foundKeywords.map((keyword, index) => (
-                        <span key={index} className="px-3 py-1 bg-white text-blue-700 rounded border border-blue-200 text-sm font-medium">
-                          {keyword}
-                        </span>
+                      {getComplaintHits(analysis.keywordSearch).map((hit, index) => (
+                        <button
+                          key={index}
+                          type="button"
+                          onClick={() => hit.mentions.length > 0 && seekTo(hit.mentions[0].start)}
+                          disabled={!playbackUrl || hit.mentions.length === 0}
+                          title={hit.matchedTerms ? t('report.heard', { terms: hit.matchedTerms.join(', ') }) : undefined}
+                          className="px-3 py-1 bg-white text-blue-700 rounded border border-blue-200 text-sm font-medium enabled:hover:bg-blue-100 disabled:cursor-default"
+                        >
+                          {hit.keyword}
+                          {hit.polarity === 'uncertain' && (
+                            <span className="ml-1 text-xs text-gray-500">{t('report.possible')}</span>
+                          )}
+                          {hit.mentions.length > 0 && (
+                            <span className="ml-2 text-xs text-blue-500">
+                              {hit.mentions.map(mention => formatTime(Math.floor(mention.start / 1000))).join(', ')}
+                            </span>
+                          )}
+                        </button>
                       ))}
                     </div>
+                    {analysis.keywordSearch.dismissedKeywords?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-3">
+                        {t('report.ruledOut', {
+                          keywords: analysis.keywordSearch.dismissedKeywords
+                            .map(dismissed => `${dismissed.keyword} (${dismissed.polarity === 'resolved' ? t('report.resolved') : t('report.notPresent')})`)
+                            .join(', '),
+                        })}
+                      </p>
+                    )}
                   </div>
                 )}
 
                 {/* Problem Overview */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
                   <div className="p-4 rounded-lg border-2 border-blue-200 bg-blue-50">
-                    <h3 className="text-sm font-medium text-gray-600 mb-2">Primary Issue</h3>
-                    <p className="text-gray-700">{analysis.mainProblem}</p>
+                    <h3 className="text-sm font-medium text-gray-600 mb-2">{t('report.primaryIssue')}</h3>
+                    <p dir="auto" className="text-gray-700">{analysis.mainProblem}</p>
                   </div>
                 </div>
 
                 {/* Specific Issues */}
                 <div className="mb-6">
                   <h3 className="text-lg font-semibold text-gray-800 mb-3">
-                    Identified Problems
+                    {t('report.identifiedProblems')}
                   </h3>
                   <div className="space-y-2">
-                    {analysis.specificIssues.map((issue, index) => (
-                      <div key={index} className="p-3 bg-red-50 rounded border border-red-100">
-                        <span className="text-red-700 text-sm">{issue}</span>
-                      </div>
-                    ))}
+                    {analysis.specificIssues.map((issue, index) => {
+                      const issueFrames = (analysis.frames || []).filter(frame => frame.issueIndexes.includes(index));
+                      const graded = typeof issue === 'object';
+                      return (
+                        <div key={index} className={`p-3 rounded border ${getSeverityColor(graded ? issue.severity : null)}`}>
+                          <div className="flex flex-wrap items-start justify-between gap-2">
+                            <span dir="auto" className="text-sm font-medium">{issueText(issue)}</span>
+                            {graded && (
+                              <div className="flex flex-wrap gap-1 text-xs">
+                                {issue.severity && (
+                                  <span className="px-2 py-0.5 rounded-full bg-white/70 border border-current font-medium">
+                                    {t(`severity.${issue.severity}`, { fallback: issue.severity })}
+                                  </span>
+                                )}
+                                {issue.urgency && (
+                                  <span className="px-2 py-0.5 rounded-full bg-white/70 border border-current">
+                                    {t(`urgency.${issue.urgency}`, { fallback: issue.urgency })}
+                                  </span>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                          {graded && (
+                            <div className="mt-1 text-xs opacity-80 space-x-2">
+                              {issue.category && <span>{t('report.system', { system: t(`category.${issue.category}`, { fallback: issue.category }) })}</span>}
+                              {issue.confidence != null && <span>{t('report.confidence', { percent: Math.round(issue.confidence * 100) })}</span>}
+                            </div>
+                          )}
+                          {graded && issue.likelyCauses?.length > 0 && (
+                            <p dir="auto" className="mt-1 text-xs">
+                              {t('report.likelyCauses', { causes: issue.likelyCauses.join(', ') })}
+                            </p>
+                          )}
+                          {issueFrames.length > 0 && (
+                            <div className="flex gap-2 mt-2 overflow-x-auto">
+                              {issueFrames.map((frame) => (
+                                <a key={frame.id} href={`${API_BASE_URL}${frame.url}`} target="_blank" rel="noreferrer" className="flex-shrink-0">
+                                  <img
+                                    src={`${API_BASE_URL}${frame.url}`}
+                                    alt={frame.term}
+                                    className="h-16 rounded border border-red-200 object-cover"
+                                  />
+                                </a>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
 
+                {/* Key Frames */}
+                {analysis.frames && analysis.frames.length > 0 && (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-semibold text-gray-800 mb-3">
+                      {t('report.keyFrames')}
+                    </h3>
+                    <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                      {analysis.frames.map((frame) => (
+                        <a
+                          key={frame.id}
+                          href={`${API_BASE_URL}${frame.url}`}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="block rounded-lg overflow-hidden border border-gray-200 bg-gray-50 hover:border-blue-300"
+                        >
+                          <img src={`${API_BASE_URL}${frame.url}`} alt={frame.term} className="w-full aspect-video object-cover" />
+                          <div className="px-2 py-1 text-xs text-gray-700 flex justify-between gap-2">
+                            <span className="truncate">{frame.term}</span>
+                            <span className="text-gray-500">{formatTime(Math.floor(frame.timeSeconds))}</span>
+                          </div>
+                        </a>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Recommendation */}
                 <div className="mb-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
                   <h3 className="text-lg font-semibold text-gray-800 mb-2">
-                    Recommended Action
+                    {t('report.recommendation')}
                   </h3>
-                  <p className="text-gray-700 text-sm">{analysis.recommendation}</p>
+                  <p dir="auto" className="text-gray-700 text-sm">{analysis.recommendation}</p>
                 </div>
 
+                {/* Repair Estimate */}
+                {analysis.estimate && analysis.estimate.items.length > 0 && (
+                  <div className="mb-6">
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                      <h3 className="text-lg font-semibold text-gray-800">{t('estimate.title')}</h3>
+                      <label className="flex items-center gap-2 text-sm text-gray-600">
+                        {t('estimate.laborRate', { currency: analysis.estimate.currency })}
+                        <input
+                          key={analysis.estimate.laborRate}
+                          type="number"
+                          min="1"
+                          step="any"
+                          defaultValue={analysis.estimate.laborRate}
+                          disabled={!diagnosisId || isSavingEstimate}
+                          onBlur={(e) => saveLaborRate(e.target.value)}
+                          onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                          className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                        />
+                      </label>
+                    </div>
+                    <div className="space-y-2">
+                      {analysis.estimate.items.map((item) => (
+                        <div
+                          key={item.id}
+                          className={`p-3 rounded border ${item.status === 'accepted' ? 'bg-green-50 border-green-200' : item.status === 'removed' ? 'bg-gray-50 border-gray-200 opacity-60' : 'bg-white border-gray-200'}`}
+                        >
+                          <div className="flex flex-wrap items-start justify-between gap-2">
+                            <div className="min-w-0">
+                              <p className={`text-sm font-medium text-gray-800 ${item.status === 'removed' ? 'line-through' : ''}`}>
+                                {item.name}
+                                {item.basis === 'inspection' && <span className="ml-2 text-xs font-normal text-gray-500">{t('estimate.inspection')}</span>}
+                              </p>
+                              <p dir="auto" className="text-xs text-gray-500">
+                                {t('estimate.forIssues', { issues: item.issues.map(index => analysis.specificIssues[index]).filter(Boolean).map(issueText).join('; ') })}
+                              </p>
+                              <p className="text-xs text-gray-500">
+                                {t('estimate.labor', { hours: formatHours(item.laborHours) })}
+                                {item.parts.length > 0 && ` · ${t('estimate.parts', { parts: item.parts.map(part => part.name).join(', ') })}`}
+                              </p>
+                            </div>
+                            <div className="text-right">
+                              <p className="text-sm font-semibold text-gray-800 whitespace-nowrap">
+                                {formatRange(item.total, analysis.estimate.currency, t.locale)}
+                              </p>
+                              <div className="flex justify-end gap-2 mt-1">
+                                {item.status === 'proposed' ? (
+                                  <>
+                                    <button
+                                      onClick={() => setItemStatus(item.id, 'accepted')}
+                                      disabled={!diagnosisId || isSavingEstimate}
+                                      className="px-2 py-0.5 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300"
+                                    >
+                                      {t('estimate.accept')}
+                                    </button>
+                                    <button
+                                      onClick={() => setItemStatus(item.id, 'removed')}
+                                      disabled={!diagnosisId || isSavingEstimate}
+                                      className="px-2 py-0.5 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:text-gray-300"
+                                    >
+                                      {t('estimate.remove')}
+                                    </button>
+                                  </>
+                                ) : (
+                                  <button
+                                    onClick={() => setItemStatus(item.id, 'proposed')}
+                                    disabled={!diagnosisId || isSavingEstimate}
+                                    className="px-2 py-0.5 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:text-gray-300"
+                                  >
+                                    {item.status === 'accepted' ? t('estimate.undoAccept') : t('estimate.restore')}
+                                  </button>
+                                )}
+                              </div>
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="mt-3 p-3 bg-gray-50 rounded border border-gray-200 text-sm space-y-1">
+                      <div className="flex justify-between gap-2">
+                        <span className="text-gray-600">{t('estimate.quotedTotal')}</span>
+                        <span className="font-semibold text-gray-800">{formatRange(analysis.estimate.totals.quoted, analysis.estimate.currency, t.locale)}</span>
+                      </div>
+                      <div className="flex justify-between gap-2">
+                        <span className="text-gray-600">{t('estimate.acceptedTotal')}</span>
+                        <span className="font-semibold text-green-700">{formatRange(analysis.estimate.totals.accepted, analysis.estimate.currency, t.locale)}</span>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        {t('estimate.rateNote', { rate: formatMoney(analysis.estimate.laborRate, analysis.estimate.currency, t.locale) })}
+                      </p>
+                    </div>
+                    {estimateError && <p className="mt-2 text-sm text-red-700">{estimateError}</p>}
+                    {!diagnosisId && <p className="mt-2 text-xs text-gray-500">{t('estimate.notSaved')}</p>}
+                  </div>
+                )}
+
                 {/* Technical Terms */}
                 {analysis.keywords && analysis.keywords.length > 0 && (
                   <div className="mb-6">
                     <h3 className="text-lg font-semibold text-gray-800 mb-3">
-                      Technical Terms Identified
+                      {t('report.technicalTerms')}
                     </h3>
                     <div className="flex flex-wrap gap-2">
                       {analysis.keywords.map((keyword, index) => (
-                        <span key={index} className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm border">
+                        <span key={index} dir="auto" className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm border">
                           {keyword}
                         </span>
                       ))}
@@ -539,51 +1625,183 @@ const VideoProblemDetector = () => {
                 {/* Transcription */}
                 <div className="mb-4">
                   <h3 className="text-lg font-semibold text-gray-800 mb-3">
-                    Transcript
+                    {t('report.transcript')}
                   </h3>
-                  <div className="bg-gray-50 p-4 rounded border border-gray-200 max-h-40 overflow-y-auto">
-                    <p className="text-sm text-gray-700 leading-relaxed">{analysis.transcription}</p>
+                  {playbackUrl && analysis.words?.length > 0 && (
+                    isAudioOnly(recordedBlob) ? (
+                      <audio
+                        ref={playbackRef}
+                        src={playbackUrl}
+                        controls
+                        onTimeUpdate={(e) => setPlaybackTimeMs(e.currentTarget.currentTime * 1000)}
+                        className="w-full mb-3"
+                      />
+                    ) : (
+                      <video
+                        ref={playbackRef}
+                        src={playbackUrl}
+                        controls
+                        playsInline
+                        onTimeUpdate={(e) => setPlaybackTimeMs(e.currentTarget.currentTime * 1000)}
+                        className="w-full max-h-56 mb-3 rounded bg-gray-900"
+                      />
+                    )
+                  )}
+                  <div className="bg-gray-50 p-4 rounded border border-gray-200 max-h-60 overflow-y-auto">
+                    {analysis.words?.length > 0 ? (
+                      <p dir={transcriptDir} className="text-sm text-gray-700 leading-relaxed">
+                        {analysis.words.map((word, index) => {
+                          const isPlaying = playbackTimeMs >= word.start && playbackTimeMs < word.end;
+                          const isKeyword = keywordWordIndexes.has(index);
+                          return (
+                            <React.Fragment key={index}>
+                              <span
+                                onClick={() => seekTo(word.start)}
+                                title={formatTime(Math.floor(word.start / 1000))}
+                                className={`rounded ${playbackUrl ? 'cursor-pointer hover:bg-gray-200' : ''} ${
+                                  isPlaying
+                                    ? 'bg-blue-200'
+                                    : isKeyword
+                                    ? 'bg-yellow-200 font-medium'
+                                    : ''
+                                }`}
+                              >
+                                {word.text}
+                              </span>{' '}
+                            </React.Fragment>
+                          );
+                        })}
+                      </p>
+                    ) : (
+                      <p dir={transcriptDir} className="text-sm text-gray-700 leading-relaxed">{analysis.transcription}</p>
+                    )}
                   </div>
                 </div>
               </div>
             )}
 
+            {/* Follow-up Questions */}
+            {analysis && (
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <div className="flex justify-between items-center mb-1">
+                  <h3 className="text-lg font-semibold text-gray-800">{t('chat.title')}</h3>
+                  {conversation.length > 0 && !isAsking && (
+                    <button onClick={clearConversation} className="text-xs text-gray-500 hover:text-gray-700 underline">
+                      {t('chat.clear')}
+                    </button>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500 mb-4">{t('chat.subtitle')}</p>
+
+                {conversation.length > 0 && (
+                  <div ref={chatLogRef} className="space-y-3 max-h-96 overflow-y-auto mb-4">
+                    {conversation.map((entry, index) => (
+                      <div key={index} className={`flex ${entry.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                        <p
+                          dir="auto"
+                          className={`max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap ${
+                            entry.role === 'user' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-800 border border-gray-200'
+                          }`}
+                        >
+                          {entry.content}
+                        </p>
+                      </div>
+                    ))}
+                    {isAsking && (
+                      <div className="flex justify-start">
+                        <p className="px-3 py-2 rounded-lg text-sm bg-gray-100 text-gray-500 border border-gray-200">{t('chat.thinking')}</p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {conversation.length === 0 && diagnosisId && (
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {['chat.suggestion.safe', 'chat.suggestion.otherCause', 'chat.suggestion.urgency'].map((key) => (
+                      <button
+                        key={key}
+                        onClick={() => askFollowUp(t(key))}
+                        disabled={isAsking}
+                        className="px-3 py-1 rounded-full border border-blue-200 bg-blue-50 text-xs text-blue-800 hover:bg-blue-100 disabled:opacity-50"
+                      >
+                        {t(key)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    askFollowUp(chatQuestion);
+                  }}
+                  className="flex gap-2"
+                >
+                  <input
+                    type="text"
+                    dir="auto"
+                    value={chatQuestion}
+                    onChange={(e) => setChatQuestion(e.target.value)}
+                    placeholder={t('chat.placeholder')}
+                    maxLength={1000}
+                    disabled={!diagnosisId || isAsking}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded text-sm disabled:bg-gray-50"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!diagnosisId || isAsking || !chatQuestion.trim()}
+                    className="px-4 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:bg-gray-300"
+                  >
+                    {isAsking ? t('chat.sending') : t('chat.send')}
+                  </button>
+                </form>
+                {chatError && <p className="mt-2 text-sm text-red-700">{chatError}</p>}
+                {!diagnosisId && <p className="mt-2 text-xs text-gray-500">{t('chat.notSaved')}</p>}
+              </div>
+            )}
+
             {/* Tips Section */}
             {!analysis && (
               <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
                 <h3 className="text-lg font-semibold text-gray-800 mb-4">
-                  Recording Guidelines
+                  {t('recording.guidelines')}
                 </h3>
                 <ul className="text-sm text-gray-600 space-y-3">
                   <li className="flex items-start">
                     <svg className="w-5 h-5 text-green-500 mr-2 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                     </svg>
-                    <span>Speak clearly and describe the vehicle problem in detail</span>
+                    <span>{t('tips.speakClearly')}</span>
+                  </li>
+                  <li className="flex items-start">
+                    <svg className="w-5 h-5 text-green-500 mr-2 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                    </svg>
+                    <span>{t('tips.showComponent')}</span>
                   </li>
                   <li className="flex items-start">
                     <svg className="w-5 h-5 text-green-500 mr-2 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                     </svg>
-                    <span>Show the specific vehicle component when possible</span>
+                    <span>{t('tips.quiet')}</span>
                   </li>
                   <li className="flex items-start">
                     <svg className="w-5 h-5 text-green-500 mr-2 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                     </svg>
-                    <span>Record in a quiet environment for better audio quality</span>
+                    <span>{t('tips.anyLanguage')}</span>
                   </li>
                   <li className="flex items-start">
                     <svg className="w-5 h-5 text-green-500 mr-2 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                     </svg>
-                    <span><strong>No size limits - Record as long as needed</strong></span>
+                    <span><strong>{t('tips.noSizeLimit')}</strong></span>
                   </li>
                   <li className="flex items-start">
                     <svg className="w-5 h-5 text-green-500 mr-2 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                     </svg>
-                    <span><strong>High quality video preserved</strong></span>
+                    <span><strong>{t('tips.highQuality')}</strong></span>
                   </li>
                 </ul>
               </div>
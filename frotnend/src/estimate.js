@@ -0,0 +1,15 @@
+// Repair estimate amounts, shown in the interface language's number format
+
+export const formatMoney = (amount, currency, locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+};
+
+export const formatRange = (range, currency, locale) => (range.low === range.high
+  ? formatMoney(range.low, currency, locale)
+  : `${formatMoney(range.low, currency, locale)} – ${formatMoney(range.high, currency, locale)}`);
+
+export const formatHours = (hours) => (hours.low === hours.high ? `${hours.low}` : `${hours.low}–${hours.high}`);
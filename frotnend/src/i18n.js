@@ -0,0 +1,50 @@
+// UI translations. Each locale is a flat catalog of keys to strings with
+// {name} placeholders; keys a locale is missing fall back to English.
+import en from './locales/en';
+import es from './locales/es';
+
+const STORAGE_KEY = 'ui-locale';
+
+export const LOCALES = {
+  en: { name: 'English', catalog: en },
+  es: { name: 'Español', catalog: es },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages the backend can transcribe and write reports in
+export const RECORDING_LANGUAGES = ['auto', 'en', 'es', 'ur'];
+export const RTL_LANGUAGES = ['ur'];
+
+// Saved choice first, then the browser's language, then English
+export const loadLocale = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved && LOCALES[saved]) return saved;
+  } catch {
+    // Storage can be unavailable in private browsing
+  }
+  const browser = (navigator.language || '').split('-')[0];
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.error('Could not save language:', error);
+  }
+};
+
+// Returns t(key, params). params.fallback is used when no catalog has the
+// key, e.g. for a stage label the server added after this build.
+export const createTranslator = (locale) => {
+  const catalog = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).catalog;
+
+  const t = (key, params = {}) => {
+    const template = catalog[key] ?? en[key] ?? params.fallback ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+  };
+  t.locale = locale;
+  return t;
+};
@@ -0,0 +1,236 @@
+export default {
+  'app.title': 'Vehicle Diagnostic Analysis',
+  'app.subtitle': 'Record or upload vehicle issues for AI-powered diagnostic analysis',
+  'app.uiLanguage': 'Interface language',
+
+  'language.auto': 'Detect automatically',
+  'language.sameAsSpoken': 'Same as spoken',
+  'language.en': 'English',
+  'language.es': 'Spanish',
+  'language.ur': 'Urdu',
+  'language.spoken': 'Spoken language',
+  'language.report': 'Report language',
+
+  'recording.videoTitle': 'Video Recording',
+  'recording.audioTitle': 'Audio Recording',
+  'recording.audioOnlyActive': 'Recording audio only',
+  'recording.audioHint': 'Audio only, the camera stays off',
+  'recording.cameraHint': 'Camera preview will appear here',
+  'recording.audioFile': 'Audio recording',
+  'recording.paused': 'Paused',
+  'recording.recording': 'Recording',
+  'recording.mic': 'Mic',
+  'recording.video': 'Video',
+  'recording.audioOnly': 'Audio only',
+  'recording.max': 'Max',
+  'recording.start': 'Start Recording',
+  'recording.stop': 'Stop Recording',
+  'recording.pause': 'Pause Recording',
+  'recording.resume': 'Resume Recording',
+  'recording.guidelines': 'Recording Guidelines',
+  'recording.guidelinesText': 'Speak clearly and describe the vehicle issue in detail. Show affected components when possible.',
+
+  'progress.upload': 'Upload Progress',
+  'progress.analysis': 'Analysis Progress',
+
+  'stage.queued': 'Queued',
+  'stage.validating_media': 'Checking recording',
+  'stage.extracting_audio': 'Extracting audio',
+  'stage.enhancing_audio': 'Enhancing audio',
+  'stage.transcribing': 'Transcribing audio',
+  'stage.keyword_search': 'Searching keywords',
+  'stage.ai_analysis': 'AI analysis',
+  'stage.extracting_frames': 'Capturing key frames',
+
+  'message.pendingUpload': 'An interrupted upload was found. Analyze the recording to resume it.',
+  'message.initMicrophone': 'Initializing microphone...',
+  'message.initCamera': 'Initializing camera and microphone...',
+  'message.recordingInProgress': 'Recording in progress... Please describe the vehicle issue clearly.',
+  'message.recordingPaused': 'Recording paused. Resume when you are ready.',
+  'message.recordingComplete': 'Recording complete ({size}MB). Ready for analysis.',
+  'message.recordingCompleteAtLimit': 'Recording complete ({size}MB). The maximum length was reached. Ready for analysis.',
+  'message.fileLoaded': 'Loaded {name} ({size}MB). Ready for analysis.',
+  'message.recordFirst': 'Please record a video first',
+  'message.startingUpload': 'Starting video upload...',
+  'message.uploading': 'Uploading video...',
+  'message.uploadProgress': 'Uploading video... {progress}% ({completed}/{total} chunks)',
+  'message.uploaded': 'Video uploaded! Starting AI analysis...',
+  'message.jobStage': '{stage}...',
+  'message.analysisComplete': 'Analysis complete',
+  'message.analysisFailed': 'Analysis failed: {reason}',
+
+  'error.microphone': 'Error accessing microphone',
+  'error.camera': 'Error accessing camera or microphone',
+  'error.microphoneDenied': 'Microphone access denied. Please allow permissions.',
+  'error.cameraDenied': 'Camera and microphone access denied. Please allow permissions.',
+  'error.noMicrophone': 'No microphone found on this device.',
+  'error.noCamera': 'No camera found on this device.',
+  'error.notSupported': 'Your browser does not support video recording.',
+  'error.analysis': 'Analysis failed',
+  'error.timeout': 'Request timeout. Please try again.',
+  'error.upload': 'Upload failed. Please try again.',
+  'error.resumeUpload': 'Press Analyze Recording again to resume the upload.',
+
+  'file.unsupported': 'Unsupported file type. Please choose an MP4, MOV, WebM, M4A, MP3 or WAV file.',
+  'file.unsupportedExtension': 'Unsupported file type ({extension}). Please choose an MP4, MOV, WebM, M4A, MP3 or WAV file.',
+  'file.empty': 'The selected file is empty.',
+  'file.tooLarge': 'File is too large ({size}MB). The limit is {limit}MB.',
+  'file.drop': 'Drop a video or audio file here, or click to choose one',
+  'file.formats': 'MP4, MOV, WebM, M4A, MP3 or WAV',
+  'file.readyFile': 'File Ready',
+  'file.readyAudio': 'Audio Ready',
+  'file.readyVideo': 'Video Ready',
+  'file.size': 'File size: {size}MB',
+
+  'quality.title': 'Check the recording before analyzing',
+  'quality.silent': 'The recording is mostly silence. Check that the microphone is not muted and speak closer to it.',
+  'quality.clipping': 'The audio is clipping (too loud). Move the microphone further from the engine or speaker and record again if the description is hard to hear.',
+
+  'vehicle.title': 'Vehicle details',
+  'vehicle.optional': '(optional)',
+  'vehicle.vin': 'VIN',
+  'vehicle.vinPlaceholder': '17 characters, e.g. 1HGCM82633A004352',
+  'vehicle.vinLength': '{count}/17 characters',
+  'vehicle.vinValid': 'Valid VIN',
+  'vehicle.vinCheckFailed': 'Could not check the VIN',
+  'vehicle.make': 'Make',
+  'vehicle.model': 'Model',
+  'vehicle.year': 'Year',
+  'vehicle.mileage': 'Mileage',
+  'vehicle.fuelLabel': 'Fuel',
+  'vehicle.transmissionLabel': 'Transmission',
+  'vehicle.notSpecified': 'Not specified',
+  'vehicle.unknown': 'Unknown vehicle',
+  'vehicle.transmissionSummary': '{transmission} transmission',
+  'vehicle.fuel.gasoline': 'Gasoline',
+  'vehicle.fuel.diesel': 'Diesel',
+  'vehicle.fuel.hybrid': 'Hybrid',
+  'vehicle.fuel.plug_in_hybrid': 'Plug-in hybrid',
+  'vehicle.fuel.electric': 'Electric',
+  'vehicle.fuel.lpg': 'LPG',
+  'vehicle.fuel.cng': 'CNG',
+  'vehicle.fuel.other': 'Other',
+  'vehicle.transmission.manual': 'Manual',
+  'vehicle.transmission.automatic': 'Automatic',
+  'vehicle.transmission.cvt': 'CVT',
+  'vehicle.transmission.dual_clutch': 'Dual-clutch',
+  'vehicle.transmission.other': 'Other',
+
+  'codes.label': 'Scanner trouble codes',
+  'codes.optional': '(optional)',
+  'codes.placeholder': 'e.g. P0301, C0035',
+  'codes.add': 'Add',
+  'codes.remove': 'Remove {code}',
+  'codes.invalid': 'Not a valid trouble code: {codes}. Codes look like P0301 or C0035.',
+  'codes.tooMany': 'At most {max} codes can be added.',
+  'codes.title': 'Trouble Codes ({count})',
+  'codes.correlation.supports': 'Matches complaint',
+  'codes.correlation.contradicts': 'Contradicts complaint',
+  'codes.correlation.unmentioned': 'Not mentioned',
+  'codes.saidFine': 'Customer said fine or fixed: {keywords}',
+  'codes.heard': 'Heard: {keywords}',
+  'codes.unexplained': 'No code covers the complaint about: {categories}',
+
+  'button.analyze': 'Analyze Recording',
+  'button.uploading': 'Uploading...',
+  'button.analyzing': 'Analyzing...',
+  'button.analyzingProgress': 'Analyzing... {progress}%',
+  'button.newRecording': 'New Recording',
+
+  'report.title': 'Diagnostic Report',
+  'report.aiAnalysis': 'AI Analysis',
+  'report.exportPdf': 'Download PDF',
+  'report.print': 'Print',
+  'report.exportJson': 'JSON',
+  'report.exportCsv': 'CSV',
+  'report.recording': 'Recording: {duration}',
+  'report.audioCodec': '{codec} audio',
+  'report.peak': 'peak {db} dB',
+  'report.vehicle': 'Vehicle: {vehicle}',
+  'report.languages': 'Spoken: {spoken} · Report: {report}',
+  'report.languageUnknown': 'not detected',
+  'report.degradedTitle': 'Keyword-only diagnosis',
+  'report.degradedText': 'The AI diagnosis could not be completed, so this report was built from the detected keywords only. Treat it as a starting point for inspection.',
+  'report.detectedIssues': 'Detected Issues ({count})',
+  'report.systems': 'Systems: {systems}',
+  'report.heard': 'Heard: {terms}',
+  'report.possible': '(possible)',
+  'report.ruledOut': 'Ruled out: {keywords}',
+  'report.resolved': 'resolved',
+  'report.notPresent': 'not present',
+  'report.primaryIssue': 'Primary Issue',
+  'report.identifiedProblems': 'Identified Problems',
+  'report.keyFrames': 'Key Frames',
+  'report.recommendation': 'Recommended Action',
+  'report.technicalTerms': 'Technical Terms Identified',
+  'report.transcript': 'Transcript',
+  'report.system': 'System: {system}',
+  'report.confidence': '{percent}% confidence',
+  'report.likelyCauses': 'Likely causes: {causes}',
+
+  'severity.high': 'High severity',
+  'severity.medium': 'Medium severity',
+  'severity.low': 'Low severity',
+  'urgency.immediate': 'Fix immediately',
+  'urgency.soon': 'Fix soon',
+  'urgency.routine': 'Routine',
+
+  'category.brake': 'Brakes',
+  'category.tire': 'Tires & wheels',
+  'category.engine': 'Engine',
+  'category.electrical': 'Electrical',
+  'category.suspension': 'Suspension',
+  'category.steering': 'Steering',
+  'category.transmission': 'Transmission & clutch',
+  'category.cooling': 'Cooling system',
+  'category.exhaust': 'Exhaust & emissions',
+  'category.fuel': 'Fuel system',
+  'category.oil': 'Oil & lubrication',
+  'category.body': 'Body & interior',
+  'category.hvac': 'Heating & air conditioning',
+  'category.other': 'Other',
+
+  'safety.title': 'Drive safety',
+  'safety.safe': 'Safe to drive',
+  'safety.caution': 'Drive with caution',
+  'safety.do_not_drive': 'Do not drive',
+  'safety.safeText': 'Nothing reported needs the vehicle kept off the road. Have it checked at the next service.',
+  'safety.cautionText': 'The vehicle can be driven carefully to a shop. Stop if the problem gets worse.',
+  'safety.do_not_driveText': 'Driving on could be dangerous or cause serious damage. Have the vehicle towed.',
+
+  'estimate.title': 'Repair Estimate',
+  'estimate.laborRate': 'Labor rate ({currency}/h)',
+  'estimate.inspection': 'inspection',
+  'estimate.forIssues': 'For: {issues}',
+  'estimate.labor': 'Labor {hours} h',
+  'estimate.parts': 'Parts: {parts}',
+  'estimate.accept': 'Accept',
+  'estimate.remove': 'Remove',
+  'estimate.undoAccept': 'Undo',
+  'estimate.restore': 'Restore',
+  'estimate.quotedTotal': 'Estimate total',
+  'estimate.acceptedTotal': 'Approved by advisor',
+  'estimate.rateNote': 'Labor charged at {rate} per hour. Prices are typical ranges; confirm after inspection.',
+  'estimate.saveFailed': 'Could not save the estimate. Please try again.',
+  'estimate.notSaved': 'This diagnosis was not saved, so the estimate cannot be edited.',
+
+  'chat.title': 'Ask About This Diagnosis',
+  'chat.subtitle': 'Answers are based on the recording, the detected keywords and the report above.',
+  'chat.placeholder': 'e.g. Could this be the wheel bearing instead?',
+  'chat.send': 'Ask',
+  'chat.sending': 'Asking...',
+  'chat.thinking': 'Thinking...',
+  'chat.clear': 'Clear conversation',
+  'chat.failed': 'The question could not be answered. Please try again.',
+  'chat.notSaved': 'This diagnosis was not saved, so follow-up questions are not available.',
+  'chat.suggestion.safe': 'Is it safe to drive to the shop?',
+  'chat.suggestion.otherCause': 'What else could cause this?',
+  'chat.suggestion.urgency': 'How soon does this need to be fixed?',
+
+  'tips.speakClearly': 'Speak clearly and describe the vehicle problem in detail',
+  'tips.showComponent': 'Show the specific vehicle component when possible',
+  'tips.quiet': 'Record in a quiet environment for better audio quality',
+  'tips.anyLanguage': 'Speak in English, Spanish or Urdu; the language is detected automatically',
+  'tips.noSizeLimit': 'No size limits - Record as long as needed',
+  'tips.highQuality': 'High quality video preserved',
+};
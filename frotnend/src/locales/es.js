@@ -0,0 +1,236 @@
+export default {
+  'app.title': 'Análisis de Diagnóstico Vehicular',
+  'app.subtitle': 'Grabe o suba los problemas de su vehículo para un diagnóstico con IA',
+  'app.uiLanguage': 'Idioma de la interfaz',
+
+  'language.auto': 'Detectar automáticamente',
+  'language.sameAsSpoken': 'Igual que el hablado',
+  'language.en': 'Inglés',
+  'language.es': 'Español',
+  'language.ur': 'Urdu',
+  'language.spoken': 'Idioma hablado',
+  'language.report': 'Idioma del informe',
+
+  'recording.videoTitle': 'Grabación de Video',
+  'recording.audioTitle': 'Grabación de Audio',
+  'recording.audioOnlyActive': 'Grabando solo audio',
+  'recording.audioHint': 'Solo audio, la cámara permanece apagada',
+  'recording.cameraHint': 'Aquí aparecerá la vista previa de la cámara',
+  'recording.audioFile': 'Grabación de audio',
+  'recording.paused': 'En pausa',
+  'recording.recording': 'Grabando',
+  'recording.mic': 'Micro',
+  'recording.video': 'Video',
+  'recording.audioOnly': 'Solo audio',
+  'recording.max': 'Máx.',
+  'recording.start': 'Iniciar Grabación',
+  'recording.stop': 'Detener Grabación',
+  'recording.pause': 'Pausar Grabación',
+  'recording.resume': 'Reanudar Grabación',
+  'recording.guidelines': 'Consejos para Grabar',
+  'recording.guidelinesText': 'Hable con claridad y describa el problema del vehículo en detalle. Muestre las piezas afectadas cuando sea posible.',
+
+  'progress.upload': 'Progreso de Subida',
+  'progress.analysis': 'Progreso del Análisis',
+
+  'stage.queued': 'En cola',
+  'stage.validating_media': 'Revisando la grabación',
+  'stage.extracting_audio': 'Extrayendo el audio',
+  'stage.enhancing_audio': 'Mejorando el audio',
+  'stage.transcribing': 'Transcribiendo el audio',
+  'stage.keyword_search': 'Buscando palabras clave',
+  'stage.ai_analysis': 'Análisis con IA',
+  'stage.extracting_frames': 'Capturando fotogramas clave',
+
+  'message.pendingUpload': 'Se encontró una subida interrumpida. Analice la grabación para reanudarla.',
+  'message.initMicrophone': 'Iniciando el micrófono...',
+  'message.initCamera': 'Iniciando la cámara y el micrófono...',
+  'message.recordingInProgress': 'Grabando... Describa con claridad el problema del vehículo.',
+  'message.recordingPaused': 'Grabación en pausa. Reanude cuando esté listo.',
+  'message.recordingComplete': 'Grabación terminada ({size}MB). Lista para analizar.',
+  'message.recordingCompleteAtLimit': 'Grabación terminada ({size}MB). Se alcanzó la duración máxima. Lista para analizar.',
+  'message.fileLoaded': 'Se cargó {name} ({size}MB). Listo para analizar.',
+  'message.recordFirst': 'Primero grabe un video',
+  'message.startingUpload': 'Iniciando la subida del video...',
+  'message.uploading': 'Subiendo el video...',
+  'message.uploadProgress': 'Subiendo el video... {progress}% ({completed}/{total} partes)',
+  'message.uploaded': '¡Video subido! Iniciando el análisis con IA...',
+  'message.jobStage': '{stage}...',
+  'message.analysisComplete': 'Análisis terminado',
+  'message.analysisFailed': 'El análisis falló: {reason}',
+
+  'error.microphone': 'Error al acceder al micrófono',
+  'error.camera': 'Error al acceder a la cámara o al micrófono',
+  'error.microphoneDenied': 'Se negó el acceso al micrófono. Permita el acceso.',
+  'error.cameraDenied': 'Se negó el acceso a la cámara y al micrófono. Permita el acceso.',
+  'error.noMicrophone': 'No se encontró un micrófono en este dispositivo.',
+  'error.noCamera': 'No se encontró una cámara en este dispositivo.',
+  'error.notSupported': 'Su navegador no permite grabar video.',
+  'error.analysis': 'El análisis falló',
+  'error.timeout': 'Se agotó el tiempo de espera. Inténtelo de nuevo.',
+  'error.upload': 'La subida falló. Inténtelo de nuevo.',
+  'error.resumeUpload': 'Pulse Analizar Grabación otra vez para reanudar la subida.',
+
+  'file.unsupported': 'Tipo de archivo no compatible. Elija un archivo MP4, MOV, WebM, M4A, MP3 o WAV.',
+  'file.unsupportedExtension': 'Tipo de archivo no compatible ({extension}). Elija un archivo MP4, MOV, WebM, M4A, MP3 o WAV.',
+  'file.empty': 'El archivo seleccionado está vacío.',
+  'file.tooLarge': 'El archivo es demasiado grande ({size}MB). El límite es de {limit}MB.',
+  'file.drop': 'Suelte aquí un archivo de video o audio, o haga clic para elegirlo',
+  'file.formats': 'MP4, MOV, WebM, M4A, MP3 o WAV',
+  'file.readyFile': 'Archivo Listo',
+  'file.readyAudio': 'Audio Listo',
+  'file.readyVideo': 'Video Listo',
+  'file.size': 'Tamaño: {size}MB',
+
+  'quality.title': 'Revise la grabación antes de analizarla',
+  'quality.silent': 'La grabación es casi todo silencio. Compruebe que el micrófono no esté silenciado y hable más cerca.',
+  'quality.clipping': 'El audio se satura (demasiado fuerte). Aleje el micrófono del motor o del altavoz y vuelva a grabar si no se entiende la descripción.',
+
+  'vehicle.title': 'Datos del vehículo',
+  'vehicle.optional': '(opcional)',
+  'vehicle.vin': 'VIN',
+  'vehicle.vinPlaceholder': '17 caracteres, p. ej. 1HGCM82633A004352',
+  'vehicle.vinLength': '{count}/17 caracteres',
+  'vehicle.vinValid': 'VIN válido',
+  'vehicle.vinCheckFailed': 'No se pudo comprobar el VIN',
+  'vehicle.make': 'Marca',
+  'vehicle.model': 'Modelo',
+  'vehicle.year': 'Año',
+  'vehicle.mileage': 'Kilometraje',
+  'vehicle.fuelLabel': 'Combustible',
+  'vehicle.transmissionLabel': 'Transmisión',
+  'vehicle.notSpecified': 'Sin especificar',
+  'vehicle.unknown': 'Vehículo desconocido',
+  'vehicle.transmissionSummary': 'transmisión {transmission}',
+  'vehicle.fuel.gasoline': 'Gasolina',
+  'vehicle.fuel.diesel': 'Diésel',
+  'vehicle.fuel.hybrid': 'Híbrido',
+  'vehicle.fuel.plug_in_hybrid': 'Híbrido enchufable',
+  'vehicle.fuel.electric': 'Eléctrico',
+  'vehicle.fuel.lpg': 'GLP',
+  'vehicle.fuel.cng': 'GNC',
+  'vehicle.fuel.other': 'Otro',
+  'vehicle.transmission.manual': 'Manual',
+  'vehicle.transmission.automatic': 'Automática',
+  'vehicle.transmission.cvt': 'CVT',
+  'vehicle.transmission.dual_clutch': 'Doble embrague',
+  'vehicle.transmission.other': 'Otra',
+
+  'codes.label': 'Códigos de falla del escáner',
+  'codes.optional': '(opcional)',
+  'codes.placeholder': 'p. ej. P0301, C0035',
+  'codes.add': 'Agregar',
+  'codes.remove': 'Quitar {code}',
+  'codes.invalid': 'Código de falla no válido: {codes}. Los códigos tienen la forma P0301 o C0035.',
+  'codes.tooMany': 'Se pueden agregar como máximo {max} códigos.',
+  'codes.title': 'Códigos de Falla ({count})',
+  'codes.correlation.supports': 'Coincide con la queja',
+  'codes.correlation.contradicts': 'Contradice la queja',
+  'codes.correlation.unmentioned': 'No mencionado',
+  'codes.saidFine': 'El cliente dijo que está bien o reparado: {keywords}',
+  'codes.heard': 'Se escuchó: {keywords}',
+  'codes.unexplained': 'Ningún código explica la queja sobre: {categories}',
+
+  'button.analyze': 'Analizar Grabación',
+  'button.uploading': 'Subiendo...',
+  'button.analyzing': 'Analizando...',
+  'button.analyzingProgress': 'Analizando... {progress}%',
+  'button.newRecording': 'Nueva Grabación',
+
+  'report.title': 'Informe de Diagnóstico',
+  'report.aiAnalysis': 'Análisis con IA',
+  'report.exportPdf': 'Descargar PDF',
+  'report.print': 'Imprimir',
+  'report.exportJson': 'JSON',
+  'report.exportCsv': 'CSV',
+  'report.recording': 'Grabación: {duration}',
+  'report.audioCodec': 'audio {codec}',
+  'report.peak': 'pico {db} dB',
+  'report.vehicle': 'Vehículo: {vehicle}',
+  'report.languages': 'Hablado: {spoken} · Informe: {report}',
+  'report.languageUnknown': 'no detectado',
+  'report.degradedTitle': 'Diagnóstico solo por palabras clave',
+  'report.degradedText': 'No se pudo completar el diagnóstico con IA, así que este informe se basa solo en las palabras clave detectadas. Úselo como punto de partida para la inspección.',
+  'report.detectedIssues': 'Problemas Detectados ({count})',
+  'report.systems': 'Sistemas: {systems}',
+  'report.heard': 'Se escuchó: {terms}',
+  'report.possible': '(posible)',
+  'report.ruledOut': 'Descartado: {keywords}',
+  'report.resolved': 'resuelto',
+  'report.notPresent': 'no presente',
+  'report.primaryIssue': 'Problema Principal',
+  'report.identifiedProblems': 'Problemas Identificados',
+  'report.keyFrames': 'Fotogramas Clave',
+  'report.recommendation': 'Acción Recomendada',
+  'report.technicalTerms': 'Términos Técnicos Identificados',
+  'report.transcript': 'Transcripción',
+  'report.system': 'Sistema: {system}',
+  'report.confidence': '{percent}% de confianza',
+  'report.likelyCauses': 'Causas probables: {causes}',
+
+  'severity.high': 'Gravedad alta',
+  'severity.medium': 'Gravedad media',
+  'severity.low': 'Gravedad baja',
+  'urgency.immediate': 'Reparar de inmediato',
+  'urgency.soon': 'Reparar pronto',
+  'urgency.routine': 'Rutina',
+
+  'category.brake': 'Frenos',
+  'category.tire': 'Neumáticos y ruedas',
+  'category.engine': 'Motor',
+  'category.electrical': 'Sistema eléctrico',
+  'category.suspension': 'Suspensión',
+  'category.steering': 'Dirección',
+  'category.transmission': 'Transmisión y embrague',
+  'category.cooling': 'Refrigeración',
+  'category.exhaust': 'Escape y emisiones',
+  'category.fuel': 'Combustible',
+  'category.oil': 'Aceite y lubricación',
+  'category.body': 'Carrocería e interior',
+  'category.hvac': 'Calefacción y aire acondicionado',
+  'category.other': 'Otro',
+
+  'safety.title': 'Seguridad al conducir',
+  'safety.safe': 'Se puede conducir',
+  'safety.caution': 'Conducir con precaución',
+  'safety.do_not_drive': 'No conducir',
+  'safety.safeText': 'Nada de lo informado obliga a dejar el vehículo parado. Revíselo en el próximo servicio.',
+  'safety.cautionText': 'Se puede llevar el vehículo con cuidado hasta un taller. Deténgase si el problema empeora.',
+  'safety.do_not_driveText': 'Seguir conduciendo podría ser peligroso o causar daños graves. Pida una grúa.',
+
+  'estimate.title': 'Presupuesto de Reparación',
+  'estimate.laborRate': 'Mano de obra ({currency}/h)',
+  'estimate.inspection': 'inspección',
+  'estimate.forIssues': 'Para: {issues}',
+  'estimate.labor': 'Mano de obra {hours} h',
+  'estimate.parts': 'Piezas: {parts}',
+  'estimate.accept': 'Aceptar',
+  'estimate.remove': 'Quitar',
+  'estimate.undoAccept': 'Deshacer',
+  'estimate.restore': 'Restaurar',
+  'estimate.quotedTotal': 'Total del presupuesto',
+  'estimate.acceptedTotal': 'Aprobado por el asesor',
+  'estimate.rateNote': 'Mano de obra a {rate} por hora. Los precios son rangos típicos; confírmelos tras la inspección.',
+  'estimate.saveFailed': 'No se pudo guardar el presupuesto. Inténtelo de nuevo.',
+  'estimate.notSaved': 'Este diagnóstico no se guardó, así que el presupuesto no se puede editar.',
+
+  'chat.title': 'Preguntas sobre este Diagnóstico',
+  'chat.subtitle': 'Las respuestas se basan en la grabación, las palabras clave detectadas y el informe de arriba.',
+  'chat.placeholder': 'p. ej. ¿Podría ser el rodamiento de la rueda?',
+  'chat.send': 'Preguntar',
+  'chat.sending': 'Preguntando...',
+  'chat.thinking': 'Pensando...',
+  'chat.clear': 'Borrar conversación',
+  'chat.failed': 'No se pudo responder la pregunta. Inténtelo de nuevo.',
+  'chat.notSaved': 'Este diagnóstico no se guardó, así que no se pueden hacer preguntas de seguimiento.',
+  'chat.suggestion.safe': '¿Es seguro conducir hasta el taller?',
+  'chat.suggestion.otherCause': '¿Qué más podría causar esto?',
+  'chat.suggestion.urgency': '¿Qué tan pronto hay que repararlo?',
+
+  'tips.speakClearly': 'Hable con claridad y describa el problema del vehículo en detalle',
+  'tips.showComponent': 'Muestre la pieza específica del vehículo cuando sea posible',
+  'tips.quiet': 'Grabe en un lugar tranquilo para un mejor audio',
+  'tips.anyLanguage': 'Hable en español, inglés o urdu; el idioma se detecta automáticamente',
+  'tips.noSizeLimit': 'Sin límite de tamaño - Grabe todo lo necesario',
+  'tips.highQuality': 'Se conserva el video en alta calidad',
+};
@@ -0,0 +1,88 @@
+// Live input level and recording quality checks, using the Web Audio API on
+// the same stream MediaRecorder is capturing.
+
+const SILENCE_RMS = 0.01; // about -40 dBFS
+const CLIPPING_PEAK = 0.99;
+const MOSTLY_SILENT_RATIO = 0.8;
+const CLIPPED_RATIO = 0.02;
+const LEVEL_UPDATE_MS = 100;
+
+// Calls onLevel(0..1) about ten times a second and keeps counts of silent
+// and clipped frames for getQualityWarnings(). Paused monitors report no
+// level and count nothing.
+export const createLevelMonitor = (stream, onLevel) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || stream.getAudioTracks().length === 0) {
+    return null;
+  }
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const stats = { frames: 0, silentFrames: 0, clippedFrames: 0, peak: 0 };
+  let paused = false;
+  let frameId = null;
+  let lastUpdate = 0;
+
+  const tick = (time) => {
+    frameId = requestAnimationFrame(tick);
+    if (paused) return;
+
+    analyser.getFloatTimeDomainData(samples);
+    let sumSquares = 0;
+    let peak = 0;
+    for (const sample of samples) {
+      sumSquares += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+    const rms = Math.sqrt(sumSquares / samples.length);
+
+    stats.frames++;
+    if (rms < SILENCE_RMS) stats.silentFrames++;
+    if (peak >= CLIPPING_PEAK) stats.clippedFrames++;
+    stats.peak = Math.max(stats.peak, peak);
+
+    if (time - lastUpdate >= LEVEL_UPDATE_MS) {
+      lastUpdate = time;
+      // Speech RMS rarely goes above 0.3, so scale it up for a readable meter
+      onLevel(Math.min(rms * 3, 1));
+    }
+  };
+  frameId = requestAnimationFrame(tick);
+
+  return {
+    pause: () => {
+      paused = true;
+      onLevel(0);
+    },
+    resume: () => {
+      paused = false;
+    },
+    stop: () => {
+      cancelAnimationFrame(frameId);
+      source.disconnect();
+      context.close().catch(() => {});
+      onLevel(0);
+      return { ...stats };
+    },
+  };
+};
+
+// Translation keys of the warnings to show before upload; an empty list
+// means the audio looks usable
+export const getQualityWarnings = (stats) => {
+  if (!stats || stats.frames === 0) return [];
+
+  const warnings = [];
+  if (stats.silentFrames / stats.frames >= MOSTLY_SILENT_RATIO) {
+    warnings.push('quality.silent');
+  }
+  if (stats.clippedFrames / stats.frames >= CLIPPED_RATIO) {
+    warnings.push('quality.clipping');
+  }
+  return warnings;
+};
@@ -0,0 +1,14 @@
+// OBD-II trouble codes typed in from a scanner, e.g. "P0301, C0035"
+
+const CODE_PATTERN = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+export const MAX_CODES = 20;
+
+// Splits free text into codes, keeping the ones that are not valid apart
+export const parseCodes = (text) => {
+  const tokens = text.toUpperCase().split(/[\s,;]+/).filter(Boolean);
+  return {
+    codes: tokens.filter(code => CODE_PATTERN.test(code)),
+    invalid: tokens.filter(code => !CODE_PATTERN.test(code)),
+  };
+};
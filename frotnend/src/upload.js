@@ -0,0 +1,229 @@
+import axios from 'axios';
+
+export const CHUNK_SIZE = 2 * 1024 * 1024; // 2MB chunks
+const CONCURRENCY = 3;
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY = 500;
+
+// Files customers can upload instead of recording. Browsers report some of
+// these (m4a, mov) with an empty or vendor-specific type, so the extension
+// is checked too.
+export const ACCEPTED_MEDIA = {
+  extensions: ['.mp4', '.mov', '.webm', '.m4a', '.mp3', '.wav'],
+  types: [
+    'video/mp4', 'video/quicktime', 'video/webm',
+    'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/webm',
+  ],
+};
+export const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB, matches the server default
+
+const extensionOf = (name) => (name.lastIndexOf('.') === -1 ? '' : name.slice(name.lastIndexOf('.')).toLowerCase());
+
+// Returns an error as a translation key with its parameters, or null when
+// the file can be uploaded
+export const validateMediaFile = (file) => {
+  const extension = extensionOf(file.name);
+  if (!ACCEPTED_MEDIA.extensions.includes(extension) && !ACCEPTED_MEDIA.types.includes(file.type)) {
+    return { key: extension ? 'file.unsupportedExtension' : 'file.unsupported', params: { extension } };
+  }
+  if (file.size === 0) {
+    return { key: 'file.empty', params: {} };
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return { key: 'file.tooLarge', params: { size: (file.size / (1024 * 1024)).toFixed(0), limit: MAX_FILE_SIZE / (1024 * 1024) } };
+  }
+  return null;
+};
+
+export const isAudioOnly = (blob) => blob.type
+  ? blob.type.startsWith('audio/')
+  : ['.m4a', '.mp3', '.wav'].includes(extensionOf(blob.name || ''));
+
+// Name for an in-browser recording, matching the container MediaRecorder produced
+export const recordingFileName = (blob) => {
+  const extension = blob.type.includes('mp4') ? (isAudioOnly(blob) ? '.m4a' : '.mp4') : '.webm';
+  return `vehicle-recording-${Date.now()}${extension}`;
+};
+
+const DB_NAME = 'vehicle-diagnostic-uploads';
+const STORE_NAME = 'pending';
+const PENDING_KEY = 'current';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// crypto.subtle only exists on secure origins, so not on a plain-HTTP shop server
+const canHash = () => typeof crypto !== 'undefined' && !!crypto.subtle;
+
+export const sha256Hex = async (data) => {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const chunkOf = (blob, index) => blob.slice(index * CHUNK_SIZE, Math.min((index + 1) * CHUNK_SIZE, blob.size));
+
+// Hashes each chunk in turn, so no more than one chunk is in memory at a
+// time. The server checks the merged file against the hash of this list.
+// Null when the browser cannot hash; the upload then goes unchecked.
+const hashChunks = async (blob, totalChunks) => {
+  if (!canHash()) return null;
+
+  const chunkHashes = [];
+  for (let i = 0; i < totalChunks; i++) {
+    chunkHashes.push(await sha256Hex(await chunkOf(blob, i).arrayBuffer()));
+  }
+  return chunkHashes;
+};
+
+// Pending uploads (including the recording itself) live in IndexedDB so an
+// interrupted upload can be resumed after a page reload
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+export const savePendingUpload = (upload) => withStore('readwrite', store => store.put(upload, PENDING_KEY));
+export const loadPendingUpload = () => withStore('readonly', store => store.get(PENDING_KEY));
+export const clearPendingUpload = () => withStore('readwrite', store => store.delete(PENDING_KEY));
+
+// Every request about an upload, and the recording it becomes, must carry its token
+export const uploadHeaders = (uploadToken) => ({ 'X-Upload-Token': uploadToken });
+
+const startSession = async ({ apiBaseUrl, blob, fileName, totalChunks, chunkHashes }) => {
+  const response = await axios.post(`${apiBaseUrl}/uploads`, {
+    fileName,
+    fileType: blob.type,
+    fileSize: blob.size,
+    chunkListHash: chunkHashes ? await sha256Hex(new TextEncoder().encode(chunkHashes.join(''))) : undefined,
+    totalChunks
+  }, { timeout: 15000 });
+
+  return { uploadId: response.data.uploadId, uploadToken: response.data.uploadToken };
+};
+
+// Chunks the server already holds, or null when the session is gone (expired,
+// merged or never started) and the upload has to start over
+const getReceivedChunks = async (apiBaseUrl, session) => {
+  try {
+    const response = await axios.get(`${apiBaseUrl}/upload-status/${session.uploadId}`, {
+      headers: uploadHeaders(session.uploadToken),
+      timeout: 15000,
+    });
+    return new Set(response.data.receivedChunks);
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 410) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Client errors other than a checksum mismatch will not get better on retry
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429 || error.response?.data?.code === 'CHUNK_CHECKSUM_MISMATCH';
+};
+
+const uploadChunk = async ({ apiBaseUrl, blob, index, session, chunkHash }) => {
+  const chunk = chunkOf(blob, index);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const formData = new FormData();
+      formData.append('chunk', chunk);
+      formData.append('chunkIndex', index.toString());
+      formData.append('uploadId', session.uploadId);
+      if (chunkHash) {
+        formData.append('chunkHash', chunkHash);
+      }
+
+      const response = await axios.post(`${apiBaseUrl}/upload-chunk`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+          ...uploadHeaders(session.uploadToken),
+        },
+        timeout: 30000,
+      });
+
+      if (!response.data.success) {
+        throw new Error(`Chunk ${index + 1} upload failed`);
+      }
+      return;
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+      // Exponential backoff with jitter
+      await sleep(RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY);
+    }
+  }
+};
+
+// Uploads whatever chunks the server does not have yet, CONCURRENCY at a
+// time, then asks it to merge and verify the whole file. Returns the merge
+// response ({ mediaId, ... }) plus the upload token needed to process it.
+// Passing the session from an earlier attempt resumes that upload; onSession
+// is called whenever a new one has to be started so the caller can persist it.
+export const uploadInChunks = async ({ apiBaseUrl, blob, fileName, session: previousSession, onSession = () => {}, onProgress = () => {} }) => {
+  const totalChunks = Math.max(Math.ceil(blob.size / CHUNK_SIZE), 1);
+  const chunkHashes = await hashChunks(blob, totalChunks);
+
+  let session = previousSession;
+  let received = session ? await getReceivedChunks(apiBaseUrl, session) : null;
+  if (!received) {
+    session = await startSession({ apiBaseUrl, blob, fileName, totalChunks, chunkHashes });
+    received = new Set();
+    await onSession(session);
+  }
+
+  const pending = [];
+
+  for (let i = 0; i < totalChunks; i++) {
+    if (!received.has(i)) {
+      pending.push(i);
+    }
+  }
+
+  let completed = received.size;
+  onProgress(completed, totalChunks);
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const index = pending.shift();
+      await uploadChunk({ apiBaseUrl, blob, index, session, chunkHash: chunkHashes?.[index] });
+      completed++;
+      onProgress(completed, totalChunks);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, pending.length) }, worker));
+
+  const mergeResponse = await axios.post(`${apiBaseUrl}/merge-chunks`, {
+    uploadId: session.uploadId
+  }, {
+    headers: uploadHeaders(session.uploadToken),
+  });
+
+  if (!mergeResponse.data.success) {
+    throw new Error('Failed to merge video chunks');
+  }
+
+  return { ...mergeResponse.data, uploadToken: session.uploadToken };
+};
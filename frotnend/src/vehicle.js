@@ -0,0 +1,55 @@
+// Vehicle details sent with a recording. The last profile is remembered so
+// the same car does not have to be typed in for every recording.
+
+const STORAGE_KEY = 'vehicle-profile';
+
+// Labels are in the translation catalog under vehicle.fuel.* and vehicle.transmission.*
+export const FUEL_TYPES = ['gasoline', 'diesel', 'hybrid', 'plug_in_hybrid', 'electric', 'lpg', 'cng', 'other'];
+
+export const TRANSMISSIONS = ['manual', 'automatic', 'cvt', 'dual_clutch', 'other'];
+
+export const EMPTY_VEHICLE = {
+  vin: '',
+  make: '',
+  model: '',
+  year: '',
+  mileage: '',
+  mileageUnit: 'mi',
+  fuelType: '',
+  transmission: '',
+};
+
+export const normalizeVin = (vin) => vin.toUpperCase().replace(/[\s-]/g, '');
+
+export const hasVehicleDetails = (vehicle) => Object.entries(vehicle)
+  .some(([field, value]) => field !== 'mileageUnit' && String(value).trim() !== '');
+
+export const loadVehicleProfile = () => {
+  try {
+    return { ...EMPTY_VEHICLE, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return EMPTY_VEHICLE;
+  }
+};
+
+export const saveVehicleProfile = (vehicle) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(vehicle));
+  } catch (error) {
+    console.error('Could not save vehicle profile:', error);
+  }
+};
+
+// Matches the backend's one-line summary, e.g. "2015 Ford F-150, automatic transmission, gasoline, 98,000 mi",
+// in the UI language
+export const describeVehicle = (vehicle, t) => {
+  if (!vehicle) return null;
+
+  const name = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return [
+    name || t('vehicle.unknown'),
+    vehicle.transmission && t('vehicle.transmissionSummary', { transmission: t(`vehicle.transmission.${vehicle.transmission}`).toLowerCase() }),
+    vehicle.fuelType && t(`vehicle.fuel.${vehicle.fuelType}`).toLowerCase(),
+    vehicle.mileage != null && vehicle.mileage !== '' && `${Number(vehicle.mileage).toLocaleString(t.locale)} ${vehicle.mileageUnit}`,
+  ].filter(Boolean).join(', ');
+};